@@ -0,0 +1,332 @@
+// Logic Analyzer for CircuPlay - records probed components every tick and
+// draws them as scrolling digital waveforms in a panel under the canvas
+
+class LogicAnalyzer {
+    constructor(historyTicks = 2000) {
+        this.probes = []; // { component, label, startTick, changes: [{ tick, value }] }
+        this.historyTicks = historyTicks; // Ticks of history kept per probe
+        this.lastTick = 0; // Latest recorded tick
+    }
+
+    // Start recording a component (a wire records the state of its net)
+    addProbe(component, label = `${component.type} (${component.gridX}, ${component.gridY})`) {
+        if (this.hasProbe(component)) return null;
+
+        const value = LogicAnalyzer.sample(component);
+        const probe = { component, label, startTick: this.lastTick, changes: [{ tick: this.lastTick, value }] };
+        this.probes.push(probe);
+        return probe;
+    }
+
+    removeProbe(component) {
+        this.probes = this.probes.filter(probe => probe.component !== component);
+    }
+
+    hasProbe(component) {
+        return this.probes.some(probe => probe.component === component);
+    }
+
+    // Drop every probe and its history, restarting at a tick
+    clear(tick = 0) {
+        this.probes = [];
+        this.lastTick = tick;
+    }
+
+    // Forget what was recorded after a tick, e.g. when the simulation is
+    // rewound to it. A probe added since then starts at that tick instead.
+    rewind(tick) {
+        this.lastTick = tick;
+        this.probes.forEach(probe => {
+            probe.changes = probe.changes.filter(change => change.tick <= tick);
+            if (probe.changes.length === 0) {
+                probe.startTick = tick;
+                probe.changes = [{ tick, value: LogicAnalyzer.sample(probe.component) }];
+            }
+        });
+    }
+
+    // Logic level of a component: gates and wires carry a four-valued signal,
+    // anything else is high while powered
+    static sample(component) {
+        if (component.signal !== undefined) {
+            return component.signal;
+        }
+        return component.powered ? '1' : '0';
+    }
+
+    // Record every probe at a tick. Only changes are stored, so long steady
+    // stretches cost nothing.
+    record(tick) {
+        this.lastTick = tick;
+
+        this.probes.forEach(probe => {
+            const value = LogicAnalyzer.sample(probe.component);
+            if (probe.changes[probe.changes.length - 1].value !== value) {
+                probe.changes.push({ tick, value });
+            }
+            this.trim(probe);
+        });
+    }
+
+    // Add changes recorded elsewhere (by the simulation worker) to a probe.
+    // Any from before its latest change are already covered.
+    addChanges(probe, changes) {
+        changes.forEach(({ tick, value }) => {
+            const last = probe.changes[probe.changes.length - 1];
+            if (tick >= last.tick && value !== last.value) {
+                probe.changes.push({ tick, value });
+            }
+        });
+        this.trim(probe);
+    }
+
+    // Forget what has scrolled out of the history, keeping the value it started at
+    trim(probe) {
+        while (probe.changes.length > 1 && probe.changes[1].tick <= this.lastTick - this.historyTicks) {
+            probe.changes.shift();
+        }
+    }
+
+    // A probe's value at a tick (null before it was recorded)
+    valueAt(probe, tick) {
+        let value = null;
+        for (const change of probe.changes) {
+            if (change.tick > tick) break;
+            value = change.value;
+        }
+        return value;
+    }
+
+    // Ticks where a probe's value changed
+    getEdges(probe) {
+        return probe.changes
+            .filter(change => change.tick > probe.startTick)
+            .map(change => change.tick);
+    }
+
+    // Time between two ticks, in ticks and milliseconds of virtual time
+    measure(fromTick, toTick, tickDuration) {
+        const ticks = Math.abs(toTick - fromTick);
+        return { ticks, ms: ticks * tickDuration };
+    }
+}
+
+// Waveform panel: draws an analyzer's probes and handles zoom, scrolling and
+// the two measurement cursors
+class AnalyzerPanel {
+    constructor(panel, analyzer, clock) {
+        this.panel = panel;
+        this.analyzer = analyzer;
+        this.clock = clock;
+        this.canvas = panel.querySelector('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.readout = panel.querySelector('.analyzer-readout');
+
+        this.visible = false;
+        this.pixelsPerTick = 8;
+        this.minPixelsPerTick = 1;
+        this.maxPixelsPerTick = 32;
+        this.scrollTicks = 0; // Ticks scrolled back from the latest (0 follows the recording)
+        this.labelWidth = 120;
+        this.rowHeight = 24;
+        this.axisHeight = 14;
+        this.snapDistance = 6; // Pixels within which a cursor snaps to an edge
+        this.cursors = { a: null, b: null }; // Cursor ticks
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('click', (e) => this.handleClick(e));
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e));
+
+        this.panel.querySelector('.analyzer-zoom-in')?.addEventListener('click', () => this.zoom(2));
+        this.panel.querySelector('.analyzer-zoom-out')?.addEventListener('click', () => this.zoom(0.5));
+        this.panel.querySelector('.analyzer-clear-cursors')?.addEventListener('click', () => {
+            this.cursors = { a: null, b: null };
+        });
+    }
+
+    show(visible) {
+        this.visible = visible;
+        this.panel.classList.toggle('hidden', !visible);
+    }
+
+    zoom(factor) {
+        this.pixelsPerTick = Math.max(this.minPixelsPerTick,
+            Math.min(this.maxPixelsPerTick, this.pixelsPerTick * factor));
+    }
+
+    // First tick shown at the left of the waveform area
+    getStartTick() {
+        const visibleTicks = (this.canvas.width - this.labelWidth) / this.pixelsPerTick;
+        return this.analyzer.lastTick - this.scrollTicks - Math.floor(visibleTicks) + 1;
+    }
+
+    tickToX(tick) {
+        return this.labelWidth + (tick - this.getStartTick()) * this.pixelsPerTick;
+    }
+
+    // Scroll back through the history (shift+wheel zooms)
+    handleWheel(e) {
+        e.preventDefault();
+        if (e.shiftKey) {
+            this.zoom(e.deltaY < 0 ? 2 : 0.5);
+            return;
+        }
+
+        const step = Math.max(1, Math.round(20 / this.pixelsPerTick)) * Math.sign(e.deltaY);
+        this.scrollTicks = Math.max(0, Math.min(this.analyzer.historyTicks, this.scrollTicks - step));
+    }
+
+    // Click places cursor A, shift+click cursor B, snapping to a nearby edge
+    // of the row clicked
+    handleClick(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        if (x < this.labelWidth) return;
+
+        let tick = Math.round(this.getStartTick() + (x - this.labelWidth) / this.pixelsPerTick);
+        const probe = this.analyzer.probes[Math.floor((y - this.axisHeight) / this.rowHeight)];
+        if (probe) {
+            const nearest = this.analyzer.getEdges(probe)
+                .reduce((best, edge) => best === null || Math.abs(edge - tick) < Math.abs(best - tick) ? edge : best, null);
+            if (nearest !== null && Math.abs(this.tickToX(nearest) - x) <= this.snapDistance) {
+                tick = nearest;
+            }
+        }
+
+        this.cursors[e.shiftKey ? 'b' : 'a'] = tick;
+    }
+
+    // Cursor positions and the time between them
+    updateReadout() {
+        if (!this.readout) return;
+
+        const { a, b } = this.cursors;
+        if (this.analyzer.probes.length === 0) {
+            this.readout.textContent = 'Right-click a part and choose Probe';
+        } else if (a === null && b === null) {
+            this.readout.textContent = 'Click: cursor A, Shift+click: cursor B';
+        } else if (a === null || b === null) {
+            this.readout.textContent = `${a !== null ? 'A' : 'B'}: T${a ?? b}`;
+        } else {
+            const { ticks, ms } = this.analyzer.measure(a, b, this.clock.tickDuration);
+            this.readout.textContent = `A: T${a} B: T${b} Δ ${ticks} ticks (${ms} ms)`;
+        }
+    }
+
+    draw() {
+        if (!this.visible) return;
+
+        // Fit the canvas to the panel and the number of probes
+        const width = this.canvas.clientWidth;
+        const height = Math.max(60, this.axisHeight + this.analyzer.probes.length * this.rowHeight);
+        if (this.canvas.width !== width) this.canvas.width = width;
+        if (this.canvas.height !== height) {
+            this.canvas.height = height;
+            this.canvas.style.height = `${height}px`;
+        }
+
+        const ctx = this.ctx;
+        ctx.fillStyle = '#0a1e0c';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        this.drawAxis();
+        this.analyzer.probes.forEach((probe, row) => this.drawProbe(probe, row));
+        this.drawCursor(this.cursors.a, '#ffd93d', 'A');
+        this.drawCursor(this.cursors.b, '#4cc9f0', 'B');
+        this.updateReadout();
+    }
+
+    // Tick numbers and grid lines along the top
+    drawAxis() {
+        const ctx = this.ctx;
+        const startTick = this.getStartTick();
+        const spacing = Math.max(1, Math.ceil(50 / this.pixelsPerTick / 5) * 5);
+
+        ctx.font = '8px monospace';
+        for (let tick = Math.ceil(startTick / spacing) * spacing; tick <= this.analyzer.lastTick - this.scrollTicks; tick += spacing) {
+            const x = this.tickToX(tick);
+            ctx.fillStyle = 'rgba(74, 124, 89, 0.3)';
+            ctx.fillRect(x, this.axisHeight, 1, this.canvas.height - this.axisHeight);
+            ctx.fillStyle = '#4a7c59';
+            ctx.fillText(`${tick}`, x + 2, 10);
+        }
+    }
+
+    // One probe's label and waveform
+    drawProbe(probe, row) {
+        const ctx = this.ctx;
+        const top = this.axisHeight + row * this.rowHeight;
+        const high = top + 5;
+        const low = top + this.rowHeight - 5;
+        const middle = (high + low) / 2;
+        const startTick = this.getStartTick();
+        const endTick = this.analyzer.lastTick - this.scrollTicks + 1;
+
+        ctx.fillStyle = '#16213e';
+        ctx.fillRect(0, top, this.labelWidth - 4, this.rowHeight - 1);
+        ctx.fillStyle = '#4cc9f0';
+        ctx.font = '8px monospace';
+        ctx.fillText(probe.label, 4, middle + 3);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(this.labelWidth, top, this.canvas.width - this.labelWidth, this.rowHeight);
+        ctx.clip();
+        ctx.lineWidth = 2;
+
+        let previousY = null;
+        probe.changes.forEach((change, i) => {
+            const next = probe.changes[i + 1];
+            const from = Math.max(change.tick, startTick);
+            const to = Math.min(next ? next.tick : endTick, endTick);
+            if (to <= from) return;
+
+            const x1 = this.tickToX(from);
+            const x2 = this.tickToX(to);
+
+            if (change.value === 'X') {
+                // Unknown: a red band
+                ctx.fillStyle = 'rgba(255, 51, 85, 0.5)';
+                ctx.fillRect(x1, high, x2 - x1, low - high);
+                previousY = null;
+                return;
+            }
+
+            const y = change.value === '1' ? high : change.value === '0' ? low : middle;
+            ctx.strokeStyle = change.value === 'Z' ? '#4361ee' : '#00ff41';
+            ctx.beginPath();
+            if (previousY !== null && change.tick >= startTick) {
+                ctx.moveTo(x1, previousY); // Edge
+            } else {
+                ctx.moveTo(x1, y);
+            }
+            ctx.lineTo(x1, y);
+            ctx.lineTo(x2, y);
+            ctx.stroke();
+            previousY = y;
+        });
+
+        ctx.restore();
+    }
+
+    drawCursor(tick, color, name) {
+        if (tick === null) return;
+
+        const x = this.tickToX(tick);
+        if (x < this.labelWidth || x > this.canvas.width) return;
+
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(x, 0, 1, this.canvas.height);
+        this.ctx.font = '8px monospace';
+        this.ctx.fillText(name, x + 3, this.canvas.height - 3);
+    }
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LogicAnalyzer, AnalyzerPanel };
+}
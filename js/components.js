@@ -1,4 +1,14 @@
 // Component System for CircuPlay
+
+// Pin sides: the offset of the cell a pin faces, the side facing back from
+// that cell, and where the side ends up after a 90 degree clockwise turn
+const PIN_SIDES = {
+    left: { dx: -1, dy: 0, opposite: 'right', rotated: 'top' },
+    top: { dx: 0, dy: -1, opposite: 'bottom', rotated: 'right' },
+    right: { dx: 1, dy: 0, opposite: 'left', rotated: 'bottom' },
+    bottom: { dx: 0, dy: 1, opposite: 'top', rotated: 'left' }
+};
+
 class Component {
     constructor(type, x = 0, y = 0) {
         this.type = type;
@@ -11,19 +21,78 @@ class Component {
         this.powered = false;
         this.connections = [];
         this.rotation = 0; // Rotation in degrees (0, 90, 180, 270)
+        this.label = ''; // User-given name, e.g. "A" for a truth table input
         this.id = `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.timeDependent = false; // Needs update(now) every tick, not only on changes
+        this.currentDraw = 0; // Milliamps drawn from the batteries while powered ('logic' mode; 'dc' mode solves it)
+        this.onStateChange = null; // Set by the simulator to hear about state changes
+        
+        // Terminals, relative to the unrotated footprint. Direction is 'in',
+        // 'out' or 'bidirectional'; two-terminal parts connect left and right.
+        this.pins = [
+            { name: 'a', direction: 'bidirectional', x: 0, y: 0, side: 'left' },
+            { name: 'b', direction: 'bidirectional', x: 0, y: 0, side: 'right' }
+        ];
+        this.pinCache = null; // Pins resolved for the current position and rotation
     }
     
-    // Draw component on canvas
+    // Draw component on canvas. Animations should follow
+    // Component.animationTime rather than the wall clock, so they slow down
+    // and speed up with the simulation.
     draw(ctx) {
         // Override in subclasses
     }
     
-    // Update component state
-    update() {
+    // Update component state - now is the virtual simulation time in ms
+    update(now) {
         // Override in subclasses
     }
     
+    // Tell the simulator this component's conduction or output changed
+    notifyStateChange() {
+        if (this.onStateChange) {
+            this.onStateChange(this);
+        }
+    }
+    
+    // Get pins in grid coordinates, turned with the component's rotation.
+    // Each pin also gives the cell it faces (facingX, facingY).
+    getPins() {
+        // Cached, as the simulator asks for pins on every propagation step
+        const cache = this.pinCache;
+        if (cache && cache.gridX === this.gridX && cache.gridY === this.gridY &&
+            cache.rotation === this.rotation && cache.pins === this.pins) {
+            return cache.resolved;
+        }
+        
+        const turns = Math.round(this.rotation / 90) % 4;
+        const resolved = this.pins.map(pin => {
+            let x = pin.x;
+            let y = pin.y;
+            let side = pin.side;
+            let { width, height } = this.getFootprint(0);
+            
+            // Turn the pin 90 degrees clockwise within the footprint each time
+            for (let turn = 0; turn < turns; turn++) {
+                [x, y] = [height - 1 - y, x];
+                [width, height] = [height, width];
+                side = PIN_SIDES[side].rotated;
+            }
+            
+            return {
+                ...pin,
+                side,
+                x: this.gridX + x,
+                y: this.gridY + y,
+                facingX: this.gridX + x + PIN_SIDES[side].dx,
+                facingY: this.gridY + y + PIN_SIDES[side].dy
+            };
+        });
+        
+        this.pinCache = { gridX: this.gridX, gridY: this.gridY, rotation: this.rotation, pins: this.pins, resolved };
+        return resolved;
+    }
+    
     // Check if component can connect to another
     canConnectTo(other) {
         return true; // Default: can connect to any component
@@ -48,7 +117,8 @@ class Component {
     getProperties() {
         return {
             powered: this.powered,
-            rotation: this.rotation
+            rotation: this.rotation,
+            label: this.label
         };
     }
     
@@ -60,29 +130,71 @@ class Component {
         if (props.rotation !== undefined) {
             this.rotation = props.rotation;
         }
+        if (props.label !== undefined) {
+            this.label = props.label;
+        }
+        this.notifyStateChange();
+    }
+    
+    // Runtime state for rewinding the simulation: what changes as it runs,
+    // including what getProperties leaves out. setState doesn't notify the
+    // simulator, which restores its own bookkeeping alongside.
+    getState() {
+        return { powered: this.powered };
+    }
+    
+    setState(state) {
+        this.powered = state.powered;
     }
     
     // Rotate component by 90 degrees clockwise
     rotate() {
         this.rotation = (this.rotation + 90) % 360;
         console.log(`${this.type} rotated to ${this.rotation} degrees`);
+        this.notifyStateChange(); // Pins moved
     }
     
     // Set specific rotation
     setRotation(angle) {
         this.rotation = angle % 360;
         if (this.rotation < 0) this.rotation += 360;
+        this.notifyStateChange(); // Pins moved
+    }
+    
+    // Footprint size in grid cells at a rotation (turning 90 degrees swaps the sides)
+    getFootprint(rotation = this.rotation) {
+        const width = this.gridWidth || 1;
+        const height = this.gridHeight || 1;
+        return rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+    }
+    
+    // Pixel area the rotated footprint covers
+    getBounds() {
+        const turned = this.rotation % 180 !== 0;
+        return {
+            x: this.x,
+            y: this.y,
+            width: turned ? this.height : this.width,
+            height: turned ? this.width : this.height
+        };
+    }
+    
+    // Pixel centre of the rotated footprint
+    getCenter() {
+        const bounds = this.getBounds();
+        return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
     }
     
     // Apply rotation transform for drawing
     applyRotation(ctx) {
         if (this.rotation !== 0) {
             ctx.save();
-            const centerX = this.x + this.width / 2;
-            const centerY = this.y + this.height / 2;
-            ctx.translate(centerX, centerY);
+            // Turn the unrotated drawing about its centre and land it on the
+            // centre of the rotated footprint (they differ for non-square parts)
+            const center = this.getCenter();
+            ctx.translate(center.x, center.y);
             ctx.rotate((this.rotation * Math.PI) / 180);
-            ctx.translate(-centerX, -centerY);
+            ctx.translate(-(this.x + this.width / 2), -(this.y + this.height / 2));
             return true; // Indicates transform was applied
         }
         return false; // No transform applied
@@ -97,17 +209,29 @@ class Component {
     
     // Check if point is inside component
     contains(x, y) {
-        return x >= this.x && x <= this.x + this.width &&
-               y >= this.y && y <= this.y + this.height;
+        const bounds = this.getBounds();
+        return x >= bounds.x && x <= bounds.x + bounds.width &&
+               y >= bounds.y && y <= bounds.y + bounds.height;
     }
 }
 
+// Milliseconds of animation so far, advanced by the simulator at its speed
+Component.animationTime = 0;
+
 // Battery Component
 class Battery extends Component {
     constructor(x, y) {
         super('battery', x, y);
         this.voltage = 5; // 5V battery
-        this.powered = true; // Batteries are always powered
+        this.capacity = null; // mAh when full, or null for an ideal battery that never runs down
+        this.charge = null; // mAh left (null when ideal)
+        this.powered = true; // Powered until it runs flat
+        
+        // Power leaves through the positive terminal only
+        this.pins = [
+            { name: 'negative', direction: 'in', x: 0, y: 0, side: 'left' },
+            { name: 'positive', direction: 'out', x: 0, y: 0, side: 'right' }
+        ];
     }
     
     draw(ctx) {
@@ -147,27 +271,176 @@ class Battery extends Component {
             ctx.fill();
         }
         
+        // Charge gauge under the body: green, then yellow, then red as it runs down
+        const level = this.getChargeLevel();
+        if (level !== null) {
+            ctx.fillStyle = '#0d0d0d';
+            ctx.fillRect(this.x + 2, this.y + 16, 14, 3);
+            ctx.fillStyle = level > 0.5 ? '#00ff41' : level > 0.2 ? '#ffd93d' : '#ff4444';
+            ctx.fillRect(this.x + 2, this.y + 16, Math.ceil(14 * level), 3);
+            if (level === 0) {
+                ctx.strokeStyle = '#ff4444';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(this.x + 2, this.y + 16, 14, 3);
+            }
+        }
+        
         // Restore rotation transform
         this.restoreRotation(ctx, transformed);
     }
     
     update() {
-        // Batteries provide power to connected components
-        this.powered = true;
+        // Batteries provide power to connected components until they run flat
+        this.powered = this.charge === null || this.charge > 0;
+    }
+    
+    // Charge left from 0 to 1, or null for an ideal battery
+    getChargeLevel() {
+        if (this.capacity === null) return null;
+        return this.capacity > 0 ? Math.max(0, Math.min(this.charge / this.capacity, 1)) : 0;
+    }
+    
+    // Give the battery a capacity in mAh (null for ideal), fully charged
+    setCapacity(capacity) {
+        this.capacity = capacity;
+        this.recharge();
+    }
+    
+    recharge() {
+        this.charge = this.capacity;
+        this.update();
+        this.notifyStateChange();
+    }
+    
+    // Supply a current (mA) for a while (ms of virtual time). Returns true if
+    // that ran the battery flat; it then stops powering the circuit.
+    drain(milliamps, ms) {
+        if (this.charge === null || this.charge <= 0) return false;
+        
+        this.charge = Math.max(0, this.charge - milliamps * ms / 3600000);
+        if (this.charge > 0) return false;
+        
+        this.powered = false;
+        this.notifyStateChange();
+        return true;
+    }
+    
+    getProperties() {
+        return {
+            ...super.getProperties(),
+            voltage: this.voltage,
+            capacity: this.capacity,
+            charge: this.charge
+        };
+    }
+    
+    setProperties(props) {
+        if (props.voltage !== undefined) {
+            this.voltage = props.voltage;
+        }
+        if (props.capacity !== undefined) {
+            this.capacity = props.capacity;
+            this.charge = props.capacity;
+        }
+        if (props.charge !== undefined) {
+            this.charge = props.charge;
+        }
+        if (props.capacity !== undefined || props.charge !== undefined) {
+            this.update();
+        }
+        // Last, as it notifies the change
+        super.setProperties(props);
+    }
+    
+    getState() {
+        return Object.assign(super.getState(), { charge: this.charge });
+    }
+    
+    setState(state) {
+        super.setState(state);
+        this.charge = state.charge;
     }
 }
 
+// Resolve the values driving one net to a single logic signal: '0' or '1',
+// 'Z' when nothing drives it (floating) or 'X' when drivers disagree
+function resolveSignals(signals) {
+    if (signals.length === 0) return 'Z';
+    return signals.every(signal => signal === signals[0]) ? signals[0] : 'X';
+}
+
+// LED colours and their typical forward voltages
+const LED_COLORS = [
+    { name: 'red', color: '#ff6b6b', forwardVoltage: 2.0 },
+    { name: 'yellow', color: '#ffd93d', forwardVoltage: 2.1 },
+    { name: 'green', color: '#00ff41', forwardVoltage: 2.2 },
+    { name: 'blue', color: '#4cc9f0', forwardVoltage: 3.0 }
+];
+
 // LED Component
 class LED extends Component {
     constructor(x, y) {
         super('led', x, y);
         this.color = '#ff6b6b';
+        this.forwardVoltage = 2.0; // Volts dropped while conducting
+        this.maxCurrent = 0.03; // Amps before it burns out (30 mA)
+        this.current = null; // Amps through it from the DC solver (null in logic mode)
+        this.burnedOut = false;
+        this.currentDraw = 20; // A typical indicator LED
         this.glowRadius = 0;
+        this.smoke = []; // Pixel smoke particles after burning out
+        this.smokeFrames = 0; // Frames left to keep puffing smoke
+        
+        // Current only flows from anode to cathode
+        this.pins = [
+            { name: 'anode', direction: 'in', x: 0, y: 0, side: 'left' },
+            { name: 'cathode', direction: 'out', x: 0, y: 0, side: 'right' }
+        ];
+    }
+    
+    // Brightness from 0 to 1: proportional to current when it's known,
+    // otherwise fully on whenever powered
+    getBrightness() {
+        if (!this.powered || this.burnedOut) {
+            return 0;
+        }
+        if (this.current === null) {
+            return 1;
+        }
+        return Math.max(0, Math.min(this.current / this.maxCurrent, 1));
+    }
+    
+    // Too much current: the LED dies and stays an open circuit until replaced
+    burnOut() {
+        if (this.burnedOut) return;
+        
+        this.burnedOut = true;
+        this.powered = false;
+        this.smokeFrames = 90;
+        this.notifyStateChange();
+    }
+    
+    // Swap in a fresh LED of the same colour
+    replace() {
+        this.burnedOut = false;
+        this.smoke = [];
+        this.smokeFrames = 0;
+        this.notifyStateChange();
+    }
+    
+    // Switch to the next colour, with its forward voltage
+    cycleColor() {
+        const index = LED_COLORS.findIndex(entry => entry.color === this.color);
+        const next = LED_COLORS[(index + 1) % LED_COLORS.length];
+        this.color = next.color;
+        this.forwardVoltage = next.forwardVoltage;
+        this.notifyStateChange();
+        return next.name;
     }
     
     draw(ctx) {
-        // Draw LED body with PCB component style
-        ctx.fillStyle = this.powered ? this.color : '#2a3429';
+        // Draw LED body with PCB component style (scorched once burnt out)
+        ctx.fillStyle = this.burnedOut ? '#1a1a1a' : this.powered ? this.color : '#2a3429';
         ctx.beginPath();
         ctx.arc(this.x + 10, this.y + 10, 7, 0, 2 * Math.PI);
         ctx.fill();
@@ -179,21 +452,42 @@ class LED extends Component {
         ctx.arc(this.x + 10, this.y + 10, 7, 0, 2 * Math.PI);
         ctx.stroke();
         
-        // Draw copper pads/legs
+        // Draw copper pads/legs (anode left, cathode right)
         ctx.fillStyle = '#cd7f32'; // Copper color
-        ctx.fillRect(this.x + 8, this.y + 18, 2, 2);
-        ctx.fillRect(this.x + 10, this.y + 18, 2, 2);
+        ctx.fillRect(this.x, this.y + 9, 2, 2);
+        ctx.fillRect(this.x + 18, this.y + 9, 2, 2);
         
-        // Glow effect when powered
-        if (this.powered) {
-            this.glowRadius = Math.min(this.glowRadius + 0.5, 15);
-            
-            // Create radial gradient for glow
+        if (this.burnedOut) {
+            // Crack across the dead lens
+            ctx.fillStyle = '#555';
+            ctx.fillRect(this.x + 7, this.y + 7, 2, 2);
+            ctx.fillRect(this.x + 9, this.y + 9, 2, 2);
+            ctx.fillRect(this.x + 11, this.y + 11, 2, 2);
+        } else if (!this.powered) {
+            // Tint the unlit lens with its colour
+            ctx.fillStyle = this.color + '40';
+            ctx.fillRect(this.x + 8, this.y + 6, 2, 2);
+        }
+        
+        this.drawSmoke(ctx);
+        
+        // Glow grows towards a radius proportional to the current
+        const brightness = this.getBrightness();
+        const targetRadius = 15 * brightness;
+        if (this.glowRadius < targetRadius) {
+            this.glowRadius = Math.min(this.glowRadius + 0.5, targetRadius);
+        } else {
+            this.glowRadius = Math.max(this.glowRadius - 1, targetRadius);
+        }
+        
+        if (brightness > 0 && this.glowRadius > 0) {
+            // Create radial gradient for glow, more opaque the brighter it is
+            const alpha = Math.round(0x60 * brightness).toString(16).padStart(2, '0');
             const gradient = ctx.createRadialGradient(
                 this.x + 10, this.y + 10, 0,
                 this.x + 10, this.y + 10, this.glowRadius
             );
-            gradient.addColorStop(0, this.color + '60');
+            gradient.addColorStop(0, this.color + alpha);
             gradient.addColorStop(1, this.color + '00');
             
             ctx.fillStyle = gradient;
@@ -204,10 +498,8 @@ class LED extends Component {
             // Add bright center dot
             ctx.fillStyle = '#ffffff';
             ctx.beginPath();
-            ctx.arc(this.x + 10, this.y + 10, 2, 0, 2 * Math.PI);
+            ctx.arc(this.x + 10, this.y + 10, 1 + brightness, 0, 2 * Math.PI);
             ctx.fill();
-        } else {
-            this.glowRadius = Math.max(this.glowRadius - 1, 0);
         }
         
         // Power indicator border
@@ -217,6 +509,68 @@ class LED extends Component {
             ctx.strokeRect(this.x - 1, this.y - 1, this.width + 2, this.height + 2);
         }
     }
+    
+    // Puff grey pixels up from a freshly burnt LED
+    drawSmoke(ctx) {
+        if (this.smokeFrames > 0) {
+            this.smokeFrames--;
+            if (this.smokeFrames % 4 === 0) {
+                this.smoke.push({
+                    x: this.x + 8 + Math.random() * 4,
+                    y: this.y + 6,
+                    drift: Math.random() - 0.5,
+                    life: 40
+                });
+            }
+        }
+        
+        this.smoke = this.smoke.filter(particle => particle.life > 0);
+        this.smoke.forEach(particle => {
+            particle.life--;
+            particle.y -= 0.4;
+            particle.x += particle.drift * 0.3;
+            
+            const size = particle.life > 20 ? 2 : 3;
+            ctx.fillStyle = `rgba(120, 120, 120, ${particle.life / 40})`;
+            ctx.fillRect(Math.round(particle.x), Math.round(particle.y), size, size);
+        });
+    }
+    
+    getProperties() {
+        return {
+            ...super.getProperties(),
+            color: this.color,
+            forwardVoltage: this.forwardVoltage,
+            maxCurrent: this.maxCurrent,
+            burnedOut: this.burnedOut
+        };
+    }
+    
+    setProperties(props) {
+        super.setProperties(props);
+        if (props.color !== undefined) {
+            this.color = props.color;
+        }
+        if (props.forwardVoltage !== undefined) {
+            this.forwardVoltage = props.forwardVoltage;
+        }
+        if (props.maxCurrent !== undefined) {
+            this.maxCurrent = props.maxCurrent;
+        }
+        if (props.burnedOut !== undefined) {
+            this.burnedOut = props.burnedOut;
+        }
+    }
+    
+    getState() {
+        return Object.assign(super.getState(), { burnedOut: this.burnedOut, current: this.current });
+    }
+    
+    setState(state) {
+        super.setState(state);
+        this.burnedOut = state.burnedOut;
+        this.current = state.current;
+    }
 }
 
 // Resistor Component
@@ -250,6 +604,20 @@ class Resistor extends Component {
             ctx.strokeRect(this.x - 1, this.y - 1, this.width + 2, this.height + 2);
         }
     }
+    
+    getProperties() {
+        return {
+            ...super.getProperties(),
+            resistance: this.resistance
+        };
+    }
+    
+    setProperties(props) {
+        super.setProperties(props);
+        if (props.resistance !== undefined) {
+            this.resistance = props.resistance;
+        }
+    }
 }
 
 // Switch Component
@@ -300,7 +668,14 @@ class Switch extends Component {
     }
     
     toggle() {
-        this.closed = !this.closed;
+        this.setClosed(!this.closed);
+    }
+    
+    setClosed(closed) {
+        if (this.closed !== closed) {
+            this.closed = closed;
+            this.notifyStateChange();
+        }
     }
     
     getProperties() {
@@ -316,6 +691,15 @@ class Switch extends Component {
             this.closed = props.closed;
         }
     }
+    
+    getState() {
+        return Object.assign(super.getState(), { closed: this.closed });
+    }
+    
+    setState(state) {
+        super.setState(state);
+        this.closed = state.closed;
+    }
 }
 
 // Push Button Component (Momentary Switch)
@@ -324,6 +708,9 @@ class PushButton extends Component {
         super('push-button', x, y);
         this.closed = false;
         this.isPressed = false; // Track if mouse is currently pressed
+        this.pressDuration = 200; // Length of a brief press in virtual ms
+        this.releaseTime = null; // Virtual time a brief press ends
+        this.timeDependent = true;
     }
     
     draw(ctx) {
@@ -368,7 +755,13 @@ class PushButton extends Component {
         this.restoreRotation(ctx, transformed);
     }
     
-    update() {
+    update(now) {
+        // End a brief press once its virtual duration has elapsed
+        if (this.releaseTime !== null && now >= this.releaseTime) {
+            this.releaseTime = null;
+            this.release();
+        }
+        
         // Push button only conducts when pressed
         if (!this.closed) {
             this.powered = false;
@@ -380,6 +773,7 @@ class PushButton extends Component {
         if (!this.isPressed) {
             this.isPressed = true;
             this.closed = true;
+            this.notifyStateChange();
             console.log('Push button pressed');
         }
     }
@@ -389,18 +783,18 @@ class PushButton extends Component {
         if (this.isPressed) {
             this.isPressed = false;
             this.closed = false;
+            this.notifyStateChange();
             console.log('Push button released');
         }
     }
     
     // Override toggle to use momentary behavior
-    toggle() {
+    toggle(now = 0) {
         // Push buttons don't toggle - they're momentary
         // This method is called for click events, so we'll simulate a quick press
+        // (timed before pressing, so the change it announces includes the release)
+        this.releaseTime = now + this.pressDuration;
         this.press();
-        setTimeout(() => {
-            this.release();
-        }, 200); // Brief press duration - longer to ensure simulation catches it
     }
     
     getProperties() {
@@ -420,17 +814,49 @@ class PushButton extends Component {
             this.isPressed = props.isPressed;
         }
     }
+    
+    // Includes the end of a brief press, which isn't saved with the circuit
+    getState() {
+        return Object.assign(super.getState(), { closed: this.closed, isPressed: this.isPressed, releaseTime: this.releaseTime });
+    }
+    
+    setState(state) {
+        super.setState(state);
+        this.closed = state.closed;
+        this.isPressed = state.isPressed;
+        this.releaseTime = state.releaseTime;
+    }
 }
 
+const SPARK_SPEED = 0.004; // Trips along half a wire per millisecond of animation time
+const SPARK_CURRENT_STEP = 0.01; // Amps per spark on each half of a wire, in 'dc' mode
+const SPARK_MAX_PER_ARM = 4; // Sparks on each half of a wire at most
+
+// Wire colours by logic state: low, high, floating, conflict
+const WIRE_SIGNAL_COLORS = {
+    '0': '#1e7b34',
+    '1': '#00ff41',
+    'Z': '#4361ee',
+    'X': '#ff3355'
+};
+
 // Wire Component
 class Wire extends Component {
     constructor(x, y) {
         super('wire', x, y);
+        
+        this.signal = 'Z'; // Logic state of the net it's part of
+        this.flow = null; // { in, out, current }: sides power enters and leaves by, amps in 'dc' mode (null when unpowered)
+        
+        // Wires join on all four sides
+        this.pins = ['left', 'top', 'right', 'bottom'].map(side => (
+            { name: side, direction: 'bidirectional', x: 0, y: 0, side }
+        ));
     }
     
     draw(ctx) {
-        // Draw PCB trace-style wire
-        ctx.strokeStyle = this.powered ? '#00ff41' : '#cd7f32'; // Copper color when unpowered, green when powered
+        // Draw PCB trace-style wire, coloured by logic state
+        ctx.strokeStyle = WIRE_SIGNAL_COLORS[this.signal];
         ctx.lineWidth = this.powered ? 4 : 3;
         
         // Draw cross pattern for wire (PCB trace style)
@@ -449,7 +875,7 @@ class Wire extends Component {
         
         // Current flow animation for powered wires
         if (this.powered) {
-            const time = Date.now() * 0.003;
+            const time = Component.animationTime * 0.003;
             const pulseAlpha = (Math.sin(time) + 1) * 0.3 + 0.2;
             ctx.strokeStyle = `rgba(0, 255, 65, ${pulseAlpha})`;
             ctx.lineWidth = 6;
@@ -464,6 +890,44 @@ class Wire extends Component {
         // Connection points
         ctx.fillStyle = this.powered ? '#4cc9f0' : '#333';
         ctx.fillRect(this.x + 9, this.y + 9, 2, 2);
+        
+        if (this.powered && this.flow) {
+            this.drawSparks(ctx);
+        }
+    }
+    
+    // Pixel sparks running in from the side power arrives on and out to the
+    // sides it leaves by, meeting up with the next wire's. They move with the
+    // animation clock, and there are more of them the more current flows.
+    drawSparks(ctx) {
+        const { in: inSides, out: outSides, current } = this.flow;
+        const count = current === null ? 1 :
+            Math.max(1, Math.min(SPARK_MAX_PER_ARM, Math.round(current / SPARK_CURRENT_STEP)));
+        const phase = (Component.animationTime * SPARK_SPEED) % 1;
+        const centerX = this.x + 10;
+        const centerY = this.y + 10;
+        
+        ctx.fillStyle = '#ffff99';
+        const arm = (side, inward) => {
+            const { dx, dy } = PIN_SIDES[side];
+            for (let i = 0; i < count; i++) {
+                const t = (phase + i / count) % 1;
+                const distance = 8 * (inward ? 1 - t : t);
+                ctx.fillRect(centerX + dx * distance - 1, centerY + dy * distance - 1, 2, 2);
+            }
+        };
+        inSides.forEach(side => arm(side, true));
+        outSides.forEach(side => arm(side, false));
+    }
+    
+    getState() {
+        return Object.assign(super.getState(), { signal: this.signal, flow: this.flow });
+    }
+    
+    setState(state) {
+        super.setState(state);
+        this.signal = state.signal;
+        this.flow = state.flow;
     }
 }
 
@@ -477,6 +941,12 @@ class Timer extends Component {
         this.inputPowered = false;
         this.outputPowered = false;
         this.remainingTime = 0;
+        this.timeDependent = true;
+        
+        this.pins = [
+            { name: 'input', direction: 'in', x: 0, y: 0, side: 'left' },
+            { name: 'output', direction: 'out', x: 0, y: 0, side: 'right' }
+        ];
     }
     
     draw(ctx) {
@@ -506,7 +976,7 @@ class Timer extends Component {
         
         // Draw clock hands/progress indicator
         if (this.isDelaying && this.delayTime > 0) {
-            const progress = (Date.now() - this.delayStartTime) / this.delayTime;
+            const progress = 1 - this.remainingTime / this.delayTime;
             const angle = (progress * 2 * Math.PI) - (Math.PI / 2); // Start from top
             
             ctx.strokeStyle = '#ffff00';
@@ -552,7 +1022,7 @@ class Timer extends Component {
         
         // Visual countdown indicator
         if (this.isDelaying) {
-            const progress = Math.min(1, (Date.now() - this.delayStartTime) / this.delayTime);
+            const progress = Math.min(1, 1 - this.remainingTime / this.delayTime);
             const barWidth = 16 * progress;
             
             ctx.fillStyle = '#ffff00';
@@ -568,13 +1038,13 @@ class Timer extends Component {
         }
     }
     
-    update() {
+    update(now) {
         // Check if input power has changed
         const newInputPowered = this.powered;
         
         // Rising edge detection - start timer when power is applied
         if (newInputPowered && !this.inputPowered && !this.isDelaying) {
-            this.startDelay();
+            this.startDelay(now);
         }
         
         // Falling edge detection - reset timer when power is removed
@@ -586,34 +1056,40 @@ class Timer extends Component {
         
         // Update delay state
         if (this.isDelaying) {
-            const currentTime = Date.now();
-            this.remainingTime = Math.max(0, this.delayTime - (currentTime - this.delayStartTime));
+            this.remainingTime = Math.max(0, this.delayTime - (now - this.delayStartTime));
             
-            if (currentTime - this.delayStartTime >= this.delayTime) {
+            if (now - this.delayStartTime >= this.delayTime) {
                 this.completeDelay();
             }
         }
     }
     
-    startDelay() {
+    startDelay(now) {
         this.isDelaying = true;
-        this.delayStartTime = Date.now();
-        this.outputPowered = false;
+        this.delayStartTime = now;
+        this.setOutputPowered(false);
         this.remainingTime = this.delayTime;
     }
     
     completeDelay() {
         this.isDelaying = false;
-        this.outputPowered = this.inputPowered; // Output follows input after delay
+        this.setOutputPowered(this.inputPowered); // Output follows input after delay
         this.remainingTime = 0;
     }
     
     resetTimer() {
         this.isDelaying = false;
-        this.outputPowered = false;
+        this.setOutputPowered(false);
         this.remainingTime = 0;
     }
     
+    setOutputPowered(powered) {
+        if (this.outputPowered !== powered) {
+            this.outputPowered = powered;
+            this.notifyStateChange();
+        }
+    }
+    
     setDelayTime(timeMs) {
         this.delayTime = Math.max(100, timeMs); // Minimum 100ms delay
     }
@@ -643,6 +1119,26 @@ class Timer extends Component {
             this.remainingTime = props.remainingTime;
         }
     }
+    
+    // Includes when the delay started and the input level, which aren't saved
+    getState() {
+        return Object.assign(super.getState(), {
+            isDelaying: this.isDelaying,
+            delayStartTime: this.delayStartTime,
+            inputPowered: this.inputPowered,
+            outputPowered: this.outputPowered,
+            remainingTime: this.remainingTime
+        });
+    }
+    
+    setState(state) {
+        super.setState(state);
+        this.isDelaying = state.isDelaying;
+        this.delayStartTime = state.delayStartTime;
+        this.inputPowered = state.inputPowered;
+        this.outputPowered = state.outputPowered;
+        this.remainingTime = state.remainingTime;
+    }
 }
 
 // Buzzer Component
@@ -650,8 +1146,11 @@ class Buzzer extends Component {
     constructor(x, y) {
         super('buzzer', x, y);
         this.frequency = 880; // Default buzzer frequency
-        this.lastSoundTime = 0; // Throttle sound to avoid spam
+        this.resistance = 100; // Coil resistance (ohms) seen by the DC solver
+        this.currentDraw = 40; // Driving the coil takes more than lighting an LED
+        this.lastSoundTime = -Infinity; // Throttle sound to avoid spam
         this.soundThrottle = 500; // Minimum time between sounds (ms)
+        this.timeDependent = true;
     }
     
     draw(ctx) {
@@ -695,7 +1194,7 @@ class Buzzer extends Component {
             ctx.lineWidth = 1;
             
             // Animated sound waves
-            const time = Date.now() * 0.01;
+            const time = Component.animationTime * 0.01;
             for (let i = 1; i <= 3; i++) {
                 const alpha = Math.abs(Math.sin(time + i * 0.5));
                 ctx.globalAlpha = alpha * 0.7;
@@ -715,13 +1214,12 @@ class Buzzer extends Component {
         this.restoreRotation(ctx, transformed);
     }
     
-    update() {
+    update(now) {
         // Play buzzer sound when powered (with throttling)
-        if (this.powered && window.audioManager) {
-            const currentTime = Date.now();
-            if (currentTime - this.lastSoundTime > this.soundThrottle) {
+        if (this.powered && typeof window !== 'undefined' && window.audioManager) {
+            if (now - this.lastSoundTime > this.soundThrottle) {
                 window.audioManager.playBuzzer();
-                this.lastSoundTime = currentTime;
+                this.lastSoundTime = now;
             }
         }
     }
@@ -729,7 +1227,8 @@ class Buzzer extends Component {
     getProperties() {
         return {
             ...super.getProperties(),
-            frequency: this.frequency
+            frequency: this.frequency,
+            resistance: this.resistance
         };
     }
     
@@ -738,6 +1237,49 @@ class Buzzer extends Component {
         if (props.frequency !== undefined) {
             this.frequency = props.frequency;
         }
+        if (props.resistance !== undefined) {
+            this.resistance = props.resistance;
+        }
+    }
+    
+    // When it last sounded, so a rewound buzzer keeps its throttle
+    getState() {
+        return Object.assign(super.getState(), { lastSoundTime: this.lastSoundTime });
+    }
+    
+    setState(state) {
+        super.setState(state);
+        this.lastSoundTime = state.lastSoundTime;
+    }
+}
+
+// Ground Component - return path for current in realistic mode
+class Ground extends Component {
+    constructor(x, y) {
+        super('ground', x, y);
+        
+        // Current returns through the lead at the top
+        this.pins = [
+            { name: 'ground', direction: 'in', x: 0, y: 0, side: 'top' }
+        ];
+    }
+    
+    draw(ctx) {
+        // Apply rotation transform if needed
+        const transformed = this.applyRotation(ctx);
+        
+        // Draw copper lead from the top terminal
+        ctx.fillStyle = '#cd7f32'; // Copper color
+        ctx.fillRect(this.x + 9, this.y, 2, 8);
+        
+        // Draw ground symbol (three shrinking bars)
+        ctx.fillStyle = this.powered ? '#00ff41' : '#aaaaaa';
+        ctx.fillRect(this.x + 3, this.y + 8, 14, 2);
+        ctx.fillRect(this.x + 6, this.y + 12, 8, 2);
+        ctx.fillRect(this.x + 8, this.y + 16, 4, 2);
+        
+        // Restore rotation transform
+        this.restoreRotation(ctx, transformed);
     }
 }
 
@@ -745,30 +1287,103 @@ class Buzzer extends Component {
 class LogicGate extends Component {
     constructor(type, x, y) {
         super(type, x, y);
-        this.inputs = [];
-        this.output = false;
+        this.inputs = []; // Signal on each input pin: '0', '1', 'Z' (floating) or 'X' (unknown)
+        this.signal = '0'; // Output signal: '0', '1' or 'X'
+        this.output = false; // Output is high
+        this.delay = null; // Propagation delay in ticks (null uses the simulator's default for the type)
+        this.currentDraw = 1; // Sourced while the output is high
         // Make logic gates 3x1 size (60x20 pixels) to prevent current sharing issues
         this.width = 20;
         this.height = 60; // 3 grid cells tall
         this.gridWidth = 1;  // 1 cell wide
         this.gridHeight = 3; // 3 cells tall
+        
+        // Inputs on the first and third cells (the middle one is skipped so
+        // they can't share a wire), output to the right of the middle cell
+        this.pins = [
+            { name: 'a', direction: 'in', x: 0, y: 0, side: 'left' },
+            { name: 'b', direction: 'in', x: 0, y: 2, side: 'left' },
+            { name: 'out', direction: 'out', x: 0, y: 1, side: 'right' }
+        ];
     }
     
     addInput(value) {
         this.inputs.push(value);
     }
     
+    // Four-valued AND: a low input decides the output even if the other is
+    // floating or unknown; anything else undecided gives 'X'
+    static and(a, b) {
+        if (a === '0' || b === '0') return '0';
+        return a === '1' && b === '1' ? '1' : 'X';
+    }
+    
+    // Four-valued OR: a high input decides the output
+    static or(a, b) {
+        if (a === '1' || b === '1') return '1';
+        return a === '0' && b === '0' ? '0' : 'X';
+    }
+    
+    static not(a) {
+        if (a === '0') return '1';
+        return a === '1' ? '0' : 'X';
+    }
+    
     calculate() {
         // Override in subclasses
-        return false;
+        return 'X';
     }
     
     update() {
-        this.output = this.calculate();
-        this.powered = this.output;
+        this.setSignal(this.calculate());
     }
     
+    // Drive the output (straight away, or when a delayed change comes due)
+    setSignal(signal) {
+        this.signal = signal;
+        this.output = signal === '1';
+        this.powered = this.output;
+    }
+
+    // The output is saved so latches built from feedback loops keep their state
+    getProperties() {
+        return {
+            ...super.getProperties(),
+            output: this.output,
+            signal: this.signal,
+            delay: this.delay
+        };
+    }
+
+    setProperties(props) {
+        super.setProperties(props);
+        if (props.output !== undefined) {
+            this.output = props.output;
+            this.signal = props.output ? '1' : '0';
+        }
+        if (props.signal !== undefined) {
+            this.signal = props.signal;
+        }
+        if (props.delay !== undefined) {
+            this.delay = props.delay;
+        }
+    }
+
+    getState() {
+        return Object.assign(super.getState(), { inputs: [...this.inputs], signal: this.signal, output: this.output });
+    }
+
+    setState(state) {
+        super.setState(state);
+        this.inputs = [...state.inputs];
+        this.signal = state.signal;
+        this.output = state.output;
+    }
+
     draw(ctx) {
+        // Apply rotation transform if needed
+        const transformed = this.applyRotation(ctx);
+        
         // Draw gate body with PCB-style appearance
         ctx.fillStyle = this.powered ? '#2a5234' : '#1a3024';
         ctx.fillRect(this.x + 1, this.y + 1, this.width - 2, this.height - 2);
@@ -798,6 +1413,9 @@ class LogicGate extends Component {
             ctx.arc(this.x + this.width - 4, this.y + 4, 2, 0, 2 * Math.PI);
             ctx.fill();
         }
+        
+        // Restore rotation transform (subclasses draw their symbol upright)
+        this.restoreRotation(ctx, transformed);
     }
 }
 
@@ -808,19 +1426,18 @@ class ANDGate extends LogicGate {
     }
     
     calculate() {
-        // AND gate requires exactly 2 inputs to function properly
-        if (this.inputs.length < 2) return false;
-        return this.inputs[0] && this.inputs[1];
+        return LogicGate.and(this.inputs[0], this.inputs[1]);
     }
     
     draw(ctx) {
         super.draw(ctx);
+        const center = this.getCenter();
         
         // Draw AND symbol with better positioning for 3x1 layout
         ctx.fillStyle = '#ffffff';
         ctx.font = '12px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText('&', this.x + this.width/2, this.y + this.height/2 + 4);
+        ctx.fillText('&', center.x, center.y + 4);
         ctx.textAlign = 'left'; // Reset alignment
     }
 }
@@ -832,19 +1449,18 @@ class ORGate extends LogicGate {
     }
     
     calculate() {
-        // OR gate requires at least 1 input, but works best with 2
-        if (this.inputs.length < 1) return false;
-        return this.inputs.some(input => input);
+        return LogicGate.or(this.inputs[0], this.inputs[1]);
     }
     
     draw(ctx) {
         super.draw(ctx);
+        const center = this.getCenter();
         
         // Draw OR symbol with better positioning for 3x1 layout
         ctx.fillStyle = '#ffffff';
         ctx.font = '10px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText('≥1', this.x + this.width/2, this.y + this.height/2 + 3);
+        ctx.fillText('≥1', center.x, center.y + 3);
         ctx.textAlign = 'left'; // Reset alignment
     }
 }
@@ -856,18 +1472,19 @@ class NOTGate extends LogicGate {
     }
     
     calculate() {
-        // NOT gate requires exactly 1 input
-        return this.inputs.length > 0 ? !this.inputs[0] : false;
+        // Either input pin can be used; driving both with different values is a conflict
+        return LogicGate.not(resolveSignals(this.inputs.filter(input => input !== 'Z')));
     }
     
     draw(ctx) {
         super.draw(ctx);
+        const center = this.getCenter();
         
         // Draw NOT symbol with better positioning for 3x1 layout
         ctx.fillStyle = '#ffffff';
         ctx.font = '14px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText('!', this.x + this.width/2, this.y + this.height/2 + 5);
+        ctx.fillText('!', center.x, center.y + 5);
         ctx.textAlign = 'left'; // Reset alignment
     }
 }
@@ -879,19 +1496,20 @@ class XORGate extends LogicGate {
     }
     
     calculate() {
-        // XOR gate requires exactly 2 inputs
-        if (this.inputs.length < 2) return false;
-        return this.inputs[0] !== this.inputs[1];
+        const [a, b] = this.inputs;
+        if (!['0', '1'].includes(a) || !['0', '1'].includes(b)) return 'X';
+        return a !== b ? '1' : '0';
     }
     
     draw(ctx) {
         super.draw(ctx);
+        const center = this.getCenter();
         
         // Draw XOR symbol with better positioning for 3x1 layout
         ctx.fillStyle = '#ffffff';
         ctx.font = '9px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText('XOR', this.x + this.width/2, this.y + this.height/2 + 3);
+        ctx.fillText('XOR', center.x, center.y + 3);
         ctx.textAlign = 'left'; // Reset alignment
     }
 }
@@ -903,19 +1521,18 @@ class NANDGate extends LogicGate {
     }
     
     calculate() {
-        // NAND gate requires exactly 2 inputs
-        if (this.inputs.length < 2) return true;
-        return !(this.inputs[0] && this.inputs[1]);
+        return LogicGate.not(LogicGate.and(this.inputs[0], this.inputs[1]));
     }
     
     draw(ctx) {
         super.draw(ctx);
+        const center = this.getCenter();
         
         // Draw NAND symbol with better positioning for 3x1 layout
         ctx.fillStyle = '#ffffff';
         ctx.font = '8px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText('NAND', this.x + this.width/2, this.y + this.height/2 + 3);
+        ctx.fillText('NAND', center.x, center.y + 3);
         ctx.textAlign = 'left'; // Reset alignment
     }
 }
@@ -927,19 +1544,18 @@ class NORGate extends LogicGate {
     }
     
     calculate() {
-        // NOR gate requires exactly 2 inputs
-        if (this.inputs.length < 2) return true;
-        return !(this.inputs[0] || this.inputs[1]);
+        return LogicGate.not(LogicGate.or(this.inputs[0], this.inputs[1]));
     }
     
     draw(ctx) {
         super.draw(ctx);
+        const center = this.getCenter();
         
         // Draw NOR symbol with better positioning for 3x1 layout
         ctx.fillStyle = '#ffffff';
         ctx.font = '9px monospace';
         ctx.textAlign = 'center';
-        ctx.fillText('NOR', this.x + this.width/2, this.y + this.height/2 + 3);
+        ctx.fillText('NOR', center.x, center.y + 3);
         ctx.textAlign = 'left'; // Reset alignment
     }
 }
@@ -964,6 +1580,8 @@ class ComponentFactory {
                 return new Buzzer(x, y);
             case 'timer':
                 return new Timer(x, y);
+            case 'ground':
+                return new Ground(x, y);
             case 'and-gate':
                 return new ANDGate(x, y);
             case 'or-gate':
@@ -981,4 +1599,13 @@ class ComponentFactory {
                 return null;
         }
     }
-}
\ No newline at end of file
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Component, Battery, LED, Resistor, Switch, PushButton, Wire, Timer, Buzzer, Ground,
+        LogicGate, ANDGate, ORGate, NOTGate, XORGate, NANDGate, NORGate,
+        ComponentFactory, resolveSignals
+    };
+}
@@ -0,0 +1,346 @@
+// DC Solver for CircuPlay - nodal analysis of node voltages and branch currents
+//
+// Nodes are the simulator's nets (see Netlist), joined through closed
+// switches/buttons and conducting timers. Batteries and logic gate outputs are
+// voltage sources with a small internal resistance, resistors and buzzers are
+// plain resistances and LEDs are diodes (their forward voltage drop plus an
+// on-resistance, open when reverse biased or burnt out).
+// Every battery's negative terminal and every Ground part is the 0 V node.
+
+const DC_GROUND = 'ground';
+const BATTERY_INTERNAL_RESISTANCE = 0.1; // Ohms
+const GATE_OUTPUT_RESISTANCE = 10;       // Ohms
+const LOGIC_HIGH_VOLTAGE = 5;            // Volts a high gate output drives
+const LED_ON_RESISTANCE = 10;            // Ohms
+const MIN_CONDUCTANCE = 1e-9;            // Leak from every node to ground so floating nodes still solve
+const MAX_DIODE_PASSES = 20;             // Attempts to find a consistent on/off state for every LED
+const DIODE_TOLERANCE = 1e-6;            // Volts either side of the forward voltage before an LED flips
+
+class DCSolver {
+    constructor(grid) {
+        this.grid = grid;
+    }
+
+    // Solve a set of components on their nodes (from buildNodes). Returns a Map
+    // of component -> reading, where a reading has the voltage at each pin and,
+    // for parts with a resistance or source, the current through them in amps
+    // (null for ideal conductors).
+    solve(components, nodeOf) {
+        const nodeIndex = new Map();
+        nodeOf.forEach(root => {
+            if (root !== DC_GROUND && !nodeIndex.has(root)) {
+                nodeIndex.set(root, nodeIndex.size);
+            }
+        });
+
+        // Node number of a pin, or -1 for ground
+        const node = (component, pinName) => {
+            const root = nodeOf.get(`${component.id}:${pinName}`);
+            return root === DC_GROUND ? -1 : nodeIndex.get(root);
+        };
+
+        const elements = this.buildElements(components, node);
+        const diodes = elements.filter(element => element.kind === 'diode');
+
+        // Piecewise-linear diodes: solve, then flip any LED whose assumed state
+        // disagrees with the result, until they all agree (or we give up, keeping
+        // the last solved state so readings stay consistent)
+        let voltages = this.solveNodes(nodeIndex.size, elements);
+        for (let pass = 1; pass < MAX_DIODE_PASSES; pass++) {
+            const flipped = diodes.filter(diode => {
+                const drop = this.voltageAt(voltages, diode.a) - this.voltageAt(voltages, diode.b);
+                return diode.on ?
+                    drop < diode.forwardVoltage - DIODE_TOLERANCE :
+                    drop > diode.forwardVoltage + DIODE_TOLERANCE;
+            });
+            if (flipped.length === 0) break;
+
+            flipped.forEach(diode => {
+                diode.on = !diode.on;
+            });
+            voltages = this.solveNodes(nodeIndex.size, elements);
+        }
+
+        return this.collectReadings(components, elements, voltages, node);
+    }
+
+    // Electrical nodes of some components on a netlist covering them.
+    // Returns a Map of pin key ("componentId:pinName") -> node key, where the
+    // 0 V node is 'ground'.
+    buildNodes(components, netlist) {
+        return netlist.joinNets(components, component => this.isConductor(component), DC_GROUND);
+    }
+
+    // Zero-resistance faults: a battery's + terminal joined straight to the 0 V
+    // node, or batteries at different voltages joined + to +. Each comes with
+    // the batteries involved, a message and the path of parts that makes it.
+    // nodeOf is the components' nodes, from buildNodes.
+    findShorts(components, nodeOf) {
+        const included = new Set(components);
+        const shorts = [];
+        const batteriesByNode = new Map();
+        
+        components.filter(component => component.type === 'battery').forEach(battery => {
+            const node = nodeOf.get(`${battery.id}:positive`);
+            if (node === DC_GROUND) {
+                shorts.push({
+                    kind: 'short',
+                    sources: [battery],
+                    message: `Short circuit: battery at (${battery.gridX}, ${battery.gridY}) + terminal is wired straight back to ground`,
+                    path: this.findPath(battery, 'positive', included, (component, pinName) =>
+                        (component.type === 'battery' && pinName === 'negative') || component.type === 'ground')
+                });
+                return;
+            }
+            
+            if (!batteriesByNode.has(node)) {
+                batteriesByNode.set(node, []);
+            }
+            batteriesByNode.get(node).push(battery);
+        });
+        
+        batteriesByNode.forEach(([first, ...rest]) => {
+            const other = rest.find(battery => battery.voltage !== first.voltage);
+            if (!other) return;
+            
+            shorts.push({
+                kind: 'parallel',
+                sources: [first, other],
+                message: `Short circuit: batteries at (${first.gridX}, ${first.gridY}) and (${other.gridX}, ${other.gridY}) ` +
+                    `are joined at different voltages (${first.voltage} V / ${other.voltage} V)`,
+                path: this.findPath(first, 'positive', included, (component, pinName) =>
+                    component === other && pinName === 'positive')
+            });
+        });
+        
+        return shorts;
+    }
+    
+    // Shortest run of ideal conductors from a pin to a pin matching isTarget
+    // (breadth-first over pins). Returns the components along it, in order.
+    findPath(component, pinName, included, isTarget) {
+        const key = (c, name) => `${c.id}:${name}`;
+        const previous = new Map([[key(component, pinName), null]]);
+        const queue = [{ component, pinName }];
+        
+        for (let i = 0; i < queue.length; i++) {
+            const current = queue[i];
+            if (i > 0 && isTarget(current.component, current.pinName)) {
+                const steps = [];
+                for (let step = current; step; step = previous.get(key(step.component, step.pinName))) {
+                    steps.unshift(step.component);
+                }
+                return [...new Set(steps)];
+            }
+            
+            const next = this.grid.getConnections(current.component)
+                .filter(connection => connection.pin.name === current.pinName && included.has(connection.component))
+                .map(connection => ({ component: connection.component, pinName: connection.otherPin.name }));
+            
+            // Across a conductor to its other pins (never through the starting battery)
+            if (i > 0 && this.isConductor(current.component)) {
+                current.component.pins
+                    .filter(pin => pin.name !== current.pinName)
+                    .forEach(pin => next.push({ component: current.component, pinName: pin.name }));
+            }
+            
+            next.forEach(step => {
+                if (!previous.has(key(step.component, step.pinName))) {
+                    previous.set(key(step.component, step.pinName), current);
+                    queue.push(step);
+                }
+            });
+        }
+        
+        return [component];
+    }
+    
+    // Check if a component joins its pins with no resistance
+    isConductor(component) {
+        switch (component.type) {
+            case 'wire':
+                return true;
+            case 'switch':
+            case 'push-button':
+                return component.closed;
+            case 'timer':
+                return component.outputPowered;
+            default:
+                return false;
+        }
+    }
+
+    // Turn components into resistances, sources and diodes between nodes
+    buildElements(components, node) {
+        const elements = [];
+
+        components.forEach(component => {
+            switch (component.type) {
+                case 'battery':
+                    if (!component.powered) break; // Run flat: an open circuit
+                    elements.push({
+                        kind: 'source', component,
+                        a: node(component, 'positive'), b: -1,
+                        voltage: component.voltage,
+                        conductance: 1 / BATTERY_INTERNAL_RESISTANCE
+                    });
+                    break;
+                case 'resistor':
+                case 'buzzer':
+                    elements.push({
+                        kind: 'resistor', component,
+                        a: node(component, 'a'), b: node(component, 'b'),
+                        conductance: 1 / Math.max(component.resistance, 1e-3)
+                    });
+                    break;
+                case 'led':
+                    if (component.burnedOut) break;
+                    elements.push({
+                        kind: 'diode', component,
+                        a: node(component, 'anode'), b: node(component, 'cathode'),
+                        forwardVoltage: component.forwardVoltage,
+                        conductance: 1 / LED_ON_RESISTANCE,
+                        on: true
+                    });
+                    break;
+                default:
+                    // A gate in an unknown state (X) drives nothing
+                    if (component instanceof LogicGate && component.signal !== 'X') {
+                        elements.push({
+                            kind: 'source', component,
+                            a: node(component, 'out'), b: -1,
+                            voltage: component.signal === '1' ? LOGIC_HIGH_VOLTAGE : 0,
+                            conductance: 1 / GATE_OUTPUT_RESISTANCE
+                        });
+                    }
+            }
+        });
+
+        return elements;
+    }
+
+    // Build and solve G·v = i for the node voltages
+    solveNodes(size, elements) {
+        const G = Array.from({ length: size }, () => new Array(size).fill(0));
+        const I = new Array(size).fill(0);
+
+        const stampConductance = (a, b, g) => {
+            if (a >= 0) G[a][a] += g;
+            if (b >= 0) G[b][b] += g;
+            if (a >= 0 && b >= 0) {
+                G[a][b] -= g;
+                G[b][a] -= g;
+            }
+        };
+
+        // Current source pushing `current` amps from b into a
+        const stampCurrent = (a, b, current) => {
+            if (a >= 0) I[a] += current;
+            if (b >= 0) I[b] -= current;
+        };
+
+        for (let i = 0; i < size; i++) {
+            G[i][i] += MIN_CONDUCTANCE;
+        }
+
+        elements.forEach(element => {
+            switch (element.kind) {
+                case 'resistor':
+                    stampConductance(element.a, element.b, element.conductance);
+                    break;
+                case 'source':
+                    // Norton equivalent of a voltage source with internal resistance
+                    stampConductance(element.a, element.b, element.conductance);
+                    stampCurrent(element.a, element.b, element.voltage * element.conductance);
+                    break;
+                case 'diode':
+                    // A conducting diode is a forward drop in series with its on-resistance
+                    if (element.on) {
+                        stampConductance(element.a, element.b, element.conductance);
+                        stampCurrent(element.a, element.b, element.forwardVoltage * element.conductance);
+                    }
+                    break;
+            }
+        });
+
+        return this.gaussianSolve(G, I);
+    }
+
+    // Solve a dense linear system with partial pivoting
+    gaussianSolve(A, b) {
+        const n = b.length;
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            [A[col], A[pivot]] = [A[pivot], A[col]];
+            [b[col], b[pivot]] = [b[pivot], b[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = A[row][col] / A[col][col];
+                if (factor === 0) continue;
+                for (let k = col; k < n; k++) {
+                    A[row][k] -= factor * A[col][k];
+                }
+                b[row] -= factor * b[col];
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = b[row];
+            for (let k = row + 1; k < n; k++) {
+                sum -= A[row][k] * x[k];
+            }
+            x[row] = sum / A[row][row];
+        }
+        return x;
+    }
+
+    // Voltage of a node number (ground is 0 V)
+    voltageAt(voltages, node) {
+        return node < 0 ? 0 : voltages[node];
+    }
+
+    // Pin voltages for every component, and currents for each element
+    collectReadings(components, elements, voltages, node) {
+        const readings = new Map();
+
+        components.forEach(component => {
+            const pins = {};
+            component.pins.forEach(pin => {
+                pins[pin.name] = this.voltageAt(voltages, node(component, pin.name));
+            });
+            readings.set(component, { pins, current: null });
+        });
+
+        elements.forEach(element => {
+            const drop = this.voltageAt(voltages, element.a) - this.voltageAt(voltages, element.b);
+            let current;
+            switch (element.kind) {
+                case 'resistor':
+                    current = drop * element.conductance;
+                    break;
+                case 'source':
+                    // Current driven out of the source's terminal
+                    current = (element.voltage - drop) * element.conductance;
+                    break;
+                case 'diode':
+                    current = element.on ? (drop - element.forwardVoltage) * element.conductance : 0;
+                    break;
+            }
+            readings.get(element.component).current = current;
+        });
+
+        return readings;
+    }
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DCSolver, LOGIC_HIGH_VOLTAGE };
+}
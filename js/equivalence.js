@@ -0,0 +1,125 @@
+// Equivalence Checking for CircuPlay - drives two circuits with the same
+// inputs and compares their outputs, matched up by label
+//
+// Both circuits need the same input and output names (see TruthTable). Up to
+// MAX_EXHAUSTIVE_INPUTS inputs every combination is tried, which proves the
+// circuits equivalent; with more, a sample of random combinations is tried
+// and a pass only means no difference was found. The sample comes from a
+// seeded generator, so a check can be repeated with the seed it reports. An
+// output that never settles ('X') only matches another 'X'.
+
+const MAX_EXHAUSTIVE_INPUTS = 12;       // Same limit as truth tables: 4096 combinations
+const EQUIVALENCE_SAMPLE_SIZE = 1024;   // Random combinations tried above that
+
+// Pseudo-random numbers in [0, 1) from a 32-bit seed (mulberry32)
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class EquivalenceChecker {
+    // Circuit data as exported by the simulator or saved by StorageManager.
+    // Options are the same as TruthTable.generate's, plus seed: the 32-bit
+    // seed for sampling (a random one if left out).
+    constructor(first, second, options = {}) {
+        this.first = first.data || first;
+        this.second = second.data || second;
+        this.options = options;
+        this.error = null;
+    }
+
+    // Returns { equivalent, exhaustive, checked, seed, counterexample }, or
+    // null if the circuits can't be compared - then error says why.
+    // equivalent is true only when every combination was tried and matched,
+    // false with a counterexample { inputs: { name: 0/1 }, outputs: { name:
+    // [first, second] } } (only the outputs that differ), and null when a
+    // sample found no difference, which proves nothing. seed is the sample's
+    // seed, or null for an exhaustive check.
+    check() {
+        this.error = null;
+
+        const simulators = [this.first, this.second].map(data => TruthTable.createSimulator(data, this.options));
+        const terminals = simulators.map(simulator => TruthTable.findTerminals(simulator.components));
+        if (!terminals[0] || !terminals[1]) {
+            this.error = 'Each output needs a name of its own, different from every input';
+            return null;
+        }
+
+        const [first, second] = terminals;
+        if (first.inputs.length === 0 || first.outputs.length === 0) {
+            this.error = 'The circuits need at least one switch or push button and one LED or buzzer';
+            return null;
+        }
+
+        const mismatch = EquivalenceChecker.findMismatch('input', first.inputs, second.inputs) ||
+            EquivalenceChecker.findMismatch('output', first.outputs, second.outputs);
+        if (mismatch) {
+            this.error = mismatch;
+            return null;
+        }
+
+        // Drive the second circuit's terminals in the first's order
+        const byName = (terminalsOf, name) => terminalsOf.find(terminal => terminal.name === name);
+        const aligned = {
+            inputs: first.inputs.map(input => byName(second.inputs, input.name)),
+            outputs: first.outputs.map(output => byName(second.outputs, output.name))
+        };
+
+        const inputCount = first.inputs.length;
+        const exhaustive = inputCount <= MAX_EXHAUSTIVE_INPUTS;
+        const total = exhaustive ? 2 ** inputCount : EQUIVALENCE_SAMPLE_SIZE;
+        const seed = exhaustive ? null : (this.options.seed ?? Math.floor(Math.random() * 4294967296)) >>> 0;
+        const random = exhaustive ? null : seededRandom(seed);
+
+        for (let checked = 0; checked < total; checked++) {
+            const bits = exhaustive ?
+                TruthTable.bitsOf(checked, inputCount) :
+                first.inputs.map(() => (random() < 0.5 ? 0 : 1));
+
+            const firstOutputs = TruthTable.evaluate(simulators[0], first, bits, this.options.maxTicks);
+            const secondOutputs = TruthTable.evaluate(simulators[1], aligned, bits, this.options.maxTicks);
+
+            const differing = first.outputs.filter((_, i) => firstOutputs[i] !== secondOutputs[i]);
+            if (differing.length > 0) {
+                return {
+                    equivalent: false,
+                    exhaustive,
+                    checked: checked + 1,
+                    seed,
+                    counterexample: {
+                        inputs: Object.fromEntries(first.inputs.map((input, i) => [input.name, bits[i]])),
+                        outputs: Object.fromEntries(first.outputs
+                            .map((output, i) => [output.name, [firstOutputs[i], secondOutputs[i]]])
+                            .filter(([, [a, b]]) => a !== b))
+                    }
+                };
+            }
+        }
+
+        return { equivalent: exhaustive ? true : null, exhaustive, checked: total, seed, counterexample: null };
+    }
+
+    // Why two sets of terminals can't be matched up by name, or null if they can
+    static findMismatch(kind, first, second) {
+        const missing = (from, to) => from.find(terminal => !to.some(other => other.name === terminal.name));
+
+        const onlyFirst = missing(first, second);
+        if (onlyFirst) return `The second circuit has no ${kind} named "${onlyFirst.name}"`;
+
+        const onlySecond = missing(second, first);
+        if (onlySecond) return `The first circuit has no ${kind} named "${onlySecond.name}"`;
+
+        return null;
+    }
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EquivalenceChecker, MAX_EXHAUSTIVE_INPUTS };
+}
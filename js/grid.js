@@ -1,34 +1,18 @@
 // Grid System for CircuPlay
-class Grid {
-    constructor(canvas, gridSize = 20) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+
+// Pure grid model - component placement and neighbour lookups with no
+// canvas or DOM dependency, so circuits can be simulated headlessly
+class GridModel {
+    constructor(cols, rows, gridSize = 20) {
         this.gridSize = gridSize;
-        this.width = canvas.width;
-        this.height = canvas.height;
-        
-        // Grid properties
-        this.cols = Math.floor(this.width / this.gridSize);
-        this.rows = Math.floor(this.height / this.gridSize);
+        this.cols = cols;
+        this.rows = rows;
+        this.width = cols * gridSize;
+        this.height = rows * gridSize;
         
         // Grid state for component placement
         this.grid = Array(this.rows).fill(null).map(() => Array(this.cols).fill(null));
-        
-        this.setupCanvas();
-    }
-    
-    setupCanvas() {
-        // Set up pixel perfect rendering
-        this.ctx.imageSmoothingEnabled = false;
-        this.ctx.mozImageSmoothingEnabled = false;
-        this.ctx.webkitImageSmoothingEnabled = false;
-        this.ctx.msImageSmoothingEnabled = false;
-        
-        // Resize canvas to fit grid perfectly
-        this.canvas.width = this.cols * this.gridSize;
-        this.canvas.height = this.rows * this.gridSize;
-        this.width = this.canvas.width;
-        this.height = this.canvas.height;
+        this.revision = 0; // Bumped on every layout change, so derived data (e.g. the netlist) can tell it's stale
     }
     
     // Convert pixel coordinates to grid coordinates
@@ -76,8 +60,7 @@ class Grid {
     
     // Place component on grid (handles multi-cell components)
     placeComponent(component, gridX, gridY) {
-        const width = component.gridWidth || 1;
-        const height = component.gridHeight || 1;
+        const { width, height } = component.getFootprint();
         
         if (!this.isAreaEmpty(gridX, gridY, width, height)) return false;
         
@@ -92,6 +75,7 @@ class Grid {
         component.gridY = gridY;
         component.x = gridX * this.gridSize;
         component.y = gridY * this.gridSize;
+        this.revision++;
         
         return true;
     }
@@ -103,8 +87,7 @@ class Grid {
         const component = this.grid[gridY][gridX];
         if (!component) return null;
         
-        const width = component.gridWidth || 1;
-        const height = component.gridHeight || 1;
+        const { width, height } = component.getFootprint();
         
         // Remove component from all grid cells it occupies
         for (let y = component.gridY; y < component.gridY + height; y++) {
@@ -114,10 +97,53 @@ class Grid {
                 }
             }
         }
+        this.revision++;
         
         return component;
     }
     
+    // Where a component would sit turned to a rotation, pivoting about the
+    // centre of its footprint so e.g. a vertical gate turns in place
+    getRotatedPlacement(component, rotation) {
+        const current = component.getFootprint();
+        const turned = component.getFootprint(rotation);
+        
+        return {
+            gridX: Math.floor(component.gridX + (current.width - turned.width) / 2),
+            gridY: Math.floor(component.gridY + (current.height - turned.height) / 2),
+            width: turned.width,
+            height: turned.height
+        };
+    }
+    
+    // Check a component can turn to a rotation without leaving the grid or
+    // overlapping another component
+    canRotateComponent(component, rotation) {
+        const placement = this.getRotatedPlacement(component, rotation);
+        
+        for (let y = placement.gridY; y < placement.gridY + placement.height; y++) {
+            for (let x = placement.gridX; x < placement.gridX + placement.width; x++) {
+                if (!this.isValidPosition(x, y)) return false;
+                
+                const occupant = this.grid[y][x];
+                if (occupant && occupant !== component) return false;
+            }
+        }
+        return true;
+    }
+    
+    // Turn a placed component to a rotation, re-occupying the grid with its
+    // turned footprint. Returns false, leaving it untouched, if that's blocked.
+    rotateComponent(component, rotation) {
+        if (!this.canRotateComponent(component, rotation)) return false;
+        
+        const placement = this.getRotatedPlacement(component, rotation);
+        this.removeComponent(component.gridX, component.gridY);
+        component.setRotation(rotation);
+        this.placeComponent(component, placement.gridX, placement.gridY);
+        return true;
+    }
+    
     // Get component at grid position
     getComponent(gridX, gridY) {
         if (!this.isValidPosition(gridX, gridY)) return null;
@@ -171,49 +197,53 @@ class Grid {
         return neighbors;
     }
     
-    // Clear all components
-    clear() {
-        for (let y = 0; y < this.rows; y++) {
-            for (let x = 0; x < this.cols; x++) {
-                this.grid[y][x] = null;
+    // Get the distinct components touching any cell of a component's footprint
+    getComponentNeighbors(component) {
+        const neighbors = new Set();
+        const { width, height } = component.getFootprint();
+        
+        for (let y = component.gridY; y < component.gridY + height; y++) {
+            for (let x = component.gridX; x < component.gridX + width; x++) {
+                for (const neighbor of this.getNeighbors(x, y)) {
+                    if (neighbor.component !== component) {
+                        neighbors.add(neighbor.component);
+                    }
+                }
             }
         }
+        
+        return [...neighbors];
     }
     
-    // Draw grid background
-    drawGrid() {
-        this.ctx.clearRect(0, 0, this.width, this.height);
+    // Get the pins of a component that touch a pin of another component.
+    // Two pins touch when each faces the other's cell from opposite sides.
+    getConnections(component) {
+        const connections = [];
         
-        // Set grid style
-        this.ctx.strokeStyle = 'rgba(83, 58, 123, 0.2)';
-        this.ctx.lineWidth = 1;
-        
-        // Draw vertical lines
-        for (let x = 0; x <= this.cols; x++) {
-            const pixelX = x * this.gridSize;
-            this.ctx.beginPath();
-            this.ctx.moveTo(pixelX, 0);
-            this.ctx.lineTo(pixelX, this.height);
-            this.ctx.stroke();
+        for (const pin of component.getPins()) {
+            const other = this.getComponent(pin.facingX, pin.facingY);
+            if (!other || other === component) continue;
+            
+            const otherPin = other.getPins().find(candidate =>
+                candidate.x === pin.facingX && candidate.y === pin.facingY &&
+                candidate.facingX === pin.x && candidate.facingY === pin.y
+            );
+            if (otherPin) {
+                connections.push({ pin, component: other, otherPin });
+            }
         }
         
-        // Draw horizontal lines
-        for (let y = 0; y <= this.rows; y++) {
-            const pixelY = y * this.gridSize;
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, pixelY);
-            this.ctx.lineTo(this.width, pixelY);
-            this.ctx.stroke();
-        }
+        return connections;
     }
     
-    // Highlight grid cell
-    highlightCell(gridX, gridY, color = 'rgba(76, 201, 240, 0.3)') {
-        if (!this.isValidPosition(gridX, gridY)) return;
-        
-        const pixel = this.gridToPixel(gridX, gridY);
-        this.ctx.fillStyle = color;
-        this.ctx.fillRect(pixel.x, pixel.y, this.gridSize, this.gridSize);
+    // Clear all components
+    clear() {
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.cols; x++) {
+                this.grid[y][x] = null;
+            }
+        }
+        this.revision++;
     }
     
     // Export grid state
@@ -222,7 +252,8 @@ class Grid {
         for (let y = 0; y < this.rows; y++) {
             for (let x = 0; x < this.cols; x++) {
                 const component = this.grid[y][x];
-                if (component) {
+                // Multi-cell components are written once, at their anchor cell
+                if (component && component.gridX === x && component.gridY === y) {
                     components.push({
                         type: component.type,
                         x: x,
@@ -238,25 +269,23 @@ class Grid {
         };
     }
     
-    // Import grid state
-    import(data) {
+    // Import grid state - createComponent builds and places each entry
+    import(data, createComponent) {
         this.clear();
         
         if (data.components) {
             for (const componentData of data.components) {
-                // This will be called by the main application
-                // to create and place components
-                window.circuPlay.createComponentFromData(componentData);
+                createComponent(componentData);
             }
         }
     }
     
-    // Update canvas size
-    resize(width, height) {
-        this.width = width;
-        this.height = height;
-        this.cols = Math.floor(width / this.gridSize);
-        this.rows = Math.floor(height / this.gridSize);
+    // Resize the grid, keeping components that still fit
+    resize(cols, rows) {
+        this.cols = cols;
+        this.rows = rows;
+        this.width = cols * this.gridSize;
+        this.height = rows * this.gridSize;
         
         // Recreate grid array
         const oldGrid = this.grid;
@@ -268,7 +297,78 @@ class Grid {
                 this.grid[y][x] = oldGrid[y][x];
             }
         }
+        this.revision++;
+    }
+}
+
+// Canvas-backed grid used by the browser UI
+class Grid extends GridModel {
+    constructor(canvas, gridSize = 20) {
+        super(Math.floor(canvas.width / gridSize), Math.floor(canvas.height / gridSize), gridSize);
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        
+        this.setupCanvas();
+    }
+    
+    setupCanvas() {
+        // Set up pixel perfect rendering
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.mozImageSmoothingEnabled = false;
+        this.ctx.webkitImageSmoothingEnabled = false;
+        this.ctx.msImageSmoothingEnabled = false;
         
+        // Resize canvas to fit grid perfectly
+        this.canvas.width = this.cols * this.gridSize;
+        this.canvas.height = this.rows * this.gridSize;
+        this.width = this.canvas.width;
+        this.height = this.canvas.height;
+    }
+    
+    // Draw grid background
+    drawGrid() {
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        
+        // Set grid style
+        this.ctx.strokeStyle = 'rgba(83, 58, 123, 0.2)';
+        this.ctx.lineWidth = 1;
+        
+        // Draw vertical lines
+        for (let x = 0; x <= this.cols; x++) {
+            const pixelX = x * this.gridSize;
+            this.ctx.beginPath();
+            this.ctx.moveTo(pixelX, 0);
+            this.ctx.lineTo(pixelX, this.height);
+            this.ctx.stroke();
+        }
+        
+        // Draw horizontal lines
+        for (let y = 0; y <= this.rows; y++) {
+            const pixelY = y * this.gridSize;
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, pixelY);
+            this.ctx.lineTo(this.width, pixelY);
+            this.ctx.stroke();
+        }
+    }
+    
+    // Highlight grid cell
+    highlightCell(gridX, gridY, color = 'rgba(76, 201, 240, 0.3)') {
+        if (!this.isValidPosition(gridX, gridY)) return;
+        
+        const pixel = this.gridToPixel(gridX, gridY);
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(pixel.x, pixel.y, this.gridSize, this.gridSize);
+    }
+    
+    // Update canvas size
+    resize(width, height) {
+        super.resize(Math.floor(width / this.gridSize), Math.floor(height / this.gridSize));
         this.setupCanvas();
     }
-}
\ No newline at end of file
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GridModel, Grid };
+}
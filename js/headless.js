@@ -0,0 +1,69 @@
+// Headless entry point for CircuPlay - runs the simulation core in Node.js
+// without a canvas or DOM, e.g. to regression-test saved circuits:
+//
+//   const { loadCircuit } = require('./js/headless.js');
+//   const simulator = loadCircuit(require('./my-circuit.json'));
+//   simulator.updateCircuit();
+//   console.log(simulator.getStats());
+
+const { GridModel } = require('./grid.js');
+const components = require('./components.js');
+const { DCSolver } = require('./dc-solver.js');
+const { LogicAnalyzer } = require('./analyzer.js');
+const { Netlist } = require('./netlist.js');
+const { WatchList } = require('./watches.js');
+const { RewindBuffer } = require('./rewind.js');
+
+// The simulator looks component classes up as globals, the same way the
+// browser scripts share them, so expose them before loading it
+Object.assign(globalThis, components, { DCSolver, LogicAnalyzer, Netlist, WatchList, RewindBuffer });
+
+const { CircuitSimulator } = require('./simulation.js');
+Object.assign(globalThis, { GridModel, CircuitSimulator });
+
+const { TruthTable } = require('./truth-table.js');
+const { EquivalenceChecker } = require('./equivalence.js');
+const { ExpressionParser, CircuitSynthesizer } = require('./synthesis.js');
+Object.assign(globalThis, { TruthTable, ExpressionParser });
+
+const { BooleanMinimizer } = require('./minimizer.js');
+
+// Margin kept around imported circuits so multi-cell parts fit
+const CIRCUIT_MARGIN = 4;
+
+// Create a simulator backed by a canvas-free grid
+function createSimulator(cols = 40, rows = 30, gridSize = 20) {
+    return new CircuitSimulator(new GridModel(cols, rows, gridSize));
+}
+
+// Load a circuit from grid data or a saved/exported circuit file
+function loadCircuit(circuit) {
+    const data = circuit.data || circuit;
+    const components = data.components || [];
+
+    // Size the grid to fit the circuit
+    const cols = Math.max(0, ...components.map(c => c.x)) + CIRCUIT_MARGIN;
+    const rows = Math.max(0, ...components.map(c => c.y)) + CIRCUIT_MARGIN;
+
+    const simulator = createSimulator(cols, rows, data.gridSize || 20);
+    simulator.importCircuit(data);
+    return simulator;
+}
+
+module.exports = {
+    ...components,
+    GridModel,
+    DCSolver,
+    LogicAnalyzer,
+    Netlist,
+    WatchList,
+    RewindBuffer,
+    CircuitSimulator,
+    TruthTable,
+    EquivalenceChecker,
+    ExpressionParser,
+    CircuitSynthesizer,
+    BooleanMinimizer,
+    createSimulator,
+    loadCircuit
+};
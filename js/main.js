@@ -79,6 +79,17 @@ class CircuPlay {
     // Initialize simulation engine
     initializeSimulator() {
         this.simulator = new CircuitSimulator(this.grid);
+        
+        // Run the ticks in a worker where the browser allows one (pages
+        // opened from file:// may not), otherwise on the main thread
+        if (this.storage.getSettings().simulationWorker && typeof Worker !== 'undefined') {
+            try {
+                new SimulationWorkerClient(new Worker('js/simulation-worker.js')).attach(this.simulator);
+                console.log('Simulation running in a worker');
+            } catch (error) {
+                console.warn('Simulation worker unavailable, simulating on the main thread:', error);
+            }
+        }
         console.log('Simulation engine initialized');
     }
     
@@ -138,26 +149,7 @@ class CircuPlay {
     
     // Create component from data (used during import)
     createComponentFromData(componentData) {
-        const component = ComponentFactory.create(
-            componentData.type, 
-            componentData.x * this.grid.gridSize, 
-            componentData.y * this.grid.gridSize
-        );
-        
-        if (component) {
-            // Set properties if available
-            if (componentData.properties) {
-                component.setProperties(componentData.properties);
-            }
-            
-            // Place on grid
-            if (this.grid.placeComponent(component, componentData.x, componentData.y)) {
-                this.simulator.addComponent(component);
-                return component;
-            }
-        }
-        
-        return null;
+        return this.simulator.createComponentFromData(componentData);
     }
     
     // Load circuit from URL parameter
@@ -414,6 +406,21 @@ window.CircuPlayDebug = {
     getStats: () => window.circuPlay.getStats(),
     exportCircuit: () => window.circuPlay.simulator.exportCircuit(),
     validateCircuit: () => window.circuPlay.simulator.validateCircuit(),
+    step: () => window.circuPlay.simulator.step(),
+    runTicks: (n) => window.circuPlay.simulator.runTicks(n),
+    pause: () => window.circuPlay.simulator.pause(),
+    resume: () => window.circuPlay.simulator.resume(),
+    getTick: () => window.circuPlay.simulator.clock.tick,
+    setMode: (mode) => window.circuPlay.simulator.setMode(mode),
+    getReading: (gridX, gridY) => {
+        const component = window.circuPlay.grid.getComponent(gridX, gridY);
+        return component ? window.circuPlay.simulator.getReading(component) : null;
+    },
+    getNetlist: () => window.circuPlay.simulator.getNetlist().toJSON(),
+    getNetAt: (gridX, gridY) => {
+        const net = window.circuPlay.simulator.getNetlist().getNetAt(gridX, gridY);
+        return net ? net.id : null;
+    },
     clearStorage: () => window.circuPlay.storage.clearAll(),
     getStorageInfo: () => window.circuPlay.storage.getStorageInfo(),
     getHistoryInfo: () => window.circuPlay.getHistoryInfo(),
@@ -0,0 +1,176 @@
+// Boolean Minimizer for CircuPlay - Quine-McCluskey minimal sums of products
+// and Karnaugh map layout
+//
+// An implicant is { value, mask }: the bits set in mask are the variables it
+// doesn't depend on ("-" in 1-0 notation), value holds the others. Variable 0
+// is the most significant bit, matching truth table rows.
+
+const MAX_MINIMIZER_VARIABLES = 6;
+
+class BooleanMinimizer {
+    // Whether an implicant covers a minterm
+    static covers(implicant, minterm) {
+        return (minterm & ~implicant.mask) === implicant.value;
+    }
+
+    // Count of variables an implicant depends on
+    static literalCount(implicant, variableCount) {
+        let count = 0;
+        for (let bit = 0; bit < variableCount; bit++) {
+            if (!(implicant.mask & (1 << bit))) count++;
+        }
+        return count;
+    }
+
+    // Every prime implicant of the minterms and don't-cares: repeatedly merge
+    // implicants that differ in one bit, keeping those that never merge
+    static primeImplicants(minterms, dontCares = []) {
+        let current = [...new Set([...minterms, ...dontCares])].map(value => ({ value, mask: 0 }));
+        const primes = [];
+
+        while (current.length > 0) {
+            const merged = new Map();
+            const used = new Set();
+
+            for (let i = 0; i < current.length; i++) {
+                for (let j = i + 1; j < current.length; j++) {
+                    const a = current[i];
+                    const b = current[j];
+                    const difference = a.value ^ b.value;
+
+                    // Same free variables and exactly one other bit apart
+                    if (a.mask === b.mask && difference !== 0 && (difference & (difference - 1)) === 0) {
+                        const implicant = { value: a.value & ~difference, mask: a.mask | difference };
+                        merged.set(`${implicant.value}/${implicant.mask}`, implicant);
+                        used.add(i);
+                        used.add(j);
+                    }
+                }
+            }
+
+            current.forEach((implicant, i) => {
+                if (!used.has(i)) primes.push(implicant);
+            });
+            current = [...merged.values()];
+        }
+
+        return primes;
+    }
+
+    // A minimal set of prime implicants covering the minterms: fewest terms,
+    // then fewest literals. Essential primes are taken first, the rest is an
+    // exhaustive search (small for the 6 variables supported).
+    static minimize(variableCount, minterms, dontCares = []) {
+        if (minterms.length === 0) return [];
+
+        const primes = BooleanMinimizer.primeImplicants(minterms, dontCares);
+        const cost = implicants => implicants.length * 100 +
+            implicants.reduce((sum, implicant) => sum + BooleanMinimizer.literalCount(implicant, variableCount), 0);
+
+        // Essential primes: the only ones covering some minterm
+        const chosen = new Set();
+        minterms.forEach(minterm => {
+            const covering = primes.filter(prime => BooleanMinimizer.covers(prime, minterm));
+            if (covering.length === 1) chosen.add(covering[0]);
+        });
+
+        const uncovered = minterms.filter(minterm =>
+            ![...chosen].some(prime => BooleanMinimizer.covers(prime, minterm)));
+
+        // Branch on the uncovered minterm with fewest options
+        let best = null;
+        const search = (remaining, picked) => {
+            if (best && cost(picked) >= cost(best)) return;
+            if (remaining.length === 0) {
+                best = [...picked];
+                return;
+            }
+
+            const options = remaining.map(minterm => primes.filter(prime => BooleanMinimizer.covers(prime, minterm)));
+            const fewest = options.reduce((a, b) => (b.length < a.length ? b : a));
+            fewest.forEach(prime => {
+                search(remaining.filter(minterm => !BooleanMinimizer.covers(prime, minterm)), [...picked, prime]);
+            });
+        };
+        search(uncovered, []);
+
+        return [...chosen, ...best];
+    }
+
+    // Implicant written as 1/0/- per variable, most significant first
+    static format(implicant, variableCount) {
+        let text = '';
+        for (let bit = variableCount - 1; bit >= 0; bit--) {
+            text += implicant.mask & (1 << bit) ? '-' : (implicant.value >> bit) & 1;
+        }
+        return text;
+    }
+
+    // Sum of products expression for implicants over named variables
+    static toExpression(variables, implicants) {
+        if (implicants.length === 0) return { op: 'const', value: 0 };
+
+        const products = implicants.map(implicant => {
+            const literals = [];
+            variables.forEach((name, i) => {
+                const bit = variables.length - 1 - i;
+                if (implicant.mask & (1 << bit)) return;
+
+                const variable = { op: 'var', name };
+                literals.push((implicant.value >> bit) & 1 ? variable : { op: 'not', args: [variable] });
+            });
+            return literals.length > 0 ? ExpressionParser.combine('and', literals) : { op: 'const', value: 1 };
+        });
+
+        return products.some(product => product.op === 'const') ?
+            { op: 'const', value: 1 } :
+            ExpressionParser.combine('or', products);
+    }
+
+    // Minterms (rows where an output is 1) and don't-cares (rows where it never
+    // settled) of one truth table output
+    static fromTruthTable(table, output = 0) {
+        const minterms = [];
+        const dontCares = [];
+        table.rows.forEach((row, index) => {
+            if (row.outputs[output] === 1) minterms.push(index);
+            if (row.outputs[output] === 'X') dontCares.push(index);
+        });
+        return { minterms, dontCares };
+    }
+
+    // Karnaugh map layout: up to two variables along the rows and two along
+    // the columns, in Gray code order; any beyond four pick one of several
+    // maps. Returns { maps: [{ title, cells: [[minterm]] }], rowVariables,
+    // columnVariables, rowLabels, columnLabels }.
+    static karnaughLayout(variables) {
+        const gray = bits => bits === 0 ? [0] : bits === 1 ? [0, 1] : [0, 1, 3, 2];
+        const toBits = (value, bits) => bits === 0 ? '' : value.toString(2).padStart(bits, '0');
+
+        const mapBits = Math.max(0, variables.length - 4);
+        const gridBits = variables.length - mapBits;
+        const rowBits = Math.floor(gridBits / 2);
+        const columnBits = gridBits - rowBits;
+
+        const maps = [];
+        for (let map = 0; map < 2 ** mapBits; map++) {
+            const title = variables.slice(0, mapBits).map((name, i) => `${name}=${toBits(map, mapBits)[i]}`).join(' ');
+            const cells = gray(rowBits).map(row => gray(columnBits).map(column =>
+                (map << gridBits) | (row << columnBits) | column));
+            maps.push({ title, cells });
+        }
+
+        return {
+            maps,
+            rowVariables: variables.slice(mapBits, mapBits + rowBits),
+            columnVariables: variables.slice(mapBits + rowBits),
+            rowLabels: gray(rowBits).map(row => toBits(row, rowBits)),
+            columnLabels: gray(columnBits).map(column => toBits(column, columnBits))
+        };
+    }
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BooleanMinimizer, MAX_MINIMIZER_VARIABLES };
+}
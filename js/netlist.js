@@ -0,0 +1,179 @@
+// Netlist for CircuPlay - groups component pins into nets: sets of pins joined
+// by touching each other or through wires. Built from the grid layout alone,
+// so switch positions and power don't change it; every Ground part and every
+// battery's negative terminal share the one net 'GND'.
+//
+// The simulator keeps one netlist per layout and evaluates the circuit on it;
+// joinNets adds what the switches and timers currently connect.
+
+const GROUND_NET = 'GND';
+
+// Disjoint sets of keys, each named by its root key
+class UnionFind {
+    constructor() {
+        this.parent = new Map();
+    }
+
+    find(key) {
+        if (!this.parent.has(key)) {
+            this.parent.set(key, key);
+            return key;
+        }
+
+        let root = key;
+        while (this.parent.get(root) !== root) {
+            root = this.parent.get(root);
+        }
+        // Compress the path for later lookups
+        while (this.parent.get(key) !== root) {
+            const next = this.parent.get(key);
+            this.parent.set(key, root);
+            key = next;
+        }
+        return root;
+    }
+
+    union(a, b) {
+        const rootA = this.find(a);
+        const rootB = this.find(b);
+        if (rootA !== rootB) {
+            this.parent.set(rootA, rootB);
+        }
+    }
+}
+
+class Netlist {
+    constructor(grid, components) {
+        this.grid = grid;
+        this.revision = grid.revision; // Grid revision this netlist was built from
+        this.nets = []; // { id, pins: [{ component, pin }], wires: [] }
+        this.netOfPin = new Map(); // "componentId:pinName" -> net
+        this.build(components);
+    }
+
+    // Union-find over pin keys, then one net per group
+    build(components) {
+        const sets = new UnionFind();
+        const key = (component, pinName) => `${component.id}:${pinName}`;
+        const included = new Set(components);
+
+        components.forEach(component => {
+            this.grid.getConnections(component).forEach(connection => {
+                if (included.has(connection.component)) {
+                    sets.union(key(component, connection.pin.name), key(connection.component, connection.otherPin.name));
+                }
+            });
+
+            // A wire is a piece of its net, so all its sides are one
+            if (component.type === 'wire') {
+                const [first, ...rest] = component.pins;
+                rest.forEach(pin => sets.union(key(component, first.name), key(component, pin.name)));
+            }
+
+            // Returns
+            if (component.type === 'battery') {
+                sets.union(key(component, 'negative'), GROUND_NET);
+            } else if (component.type === 'ground') {
+                sets.union(key(component, 'ground'), GROUND_NET);
+            }
+        });
+
+        // Number the nets in the order their first pin turns up (ground is GND)
+        const netOfRoot = new Map();
+        components.forEach(component => {
+            component.pins.forEach((pin, index) => {
+                const pinKey = key(component, pin.name);
+                const root = sets.find(pinKey);
+
+                let net = netOfRoot.get(root);
+                if (!net) {
+                    net = { id: root === sets.find(GROUND_NET) ? GROUND_NET : null, pins: [], wires: [] };
+                    netOfRoot.set(root, net);
+                    this.nets.push(net);
+                }
+
+                this.netOfPin.set(pinKey, net);
+                if (component.type !== 'wire') {
+                    net.pins.push({ component, pin: pin.name });
+                } else if (index === 0) {
+                    net.wires.push(component);
+                }
+            });
+        });
+
+        let number = 0;
+        this.nets.forEach(net => {
+            if (net.id === null) {
+                net.id = `N${++number}`;
+            }
+        });
+    }
+
+    // Electrical nodes of some components as they are now: their nets, joined
+    // through every part that conducts at the moment (e.g. a closed switch).
+    // Returns a Map of "componentId:pinName" -> node key, which is the id of one
+    // of the joined nets, or groundKey for the node holding GND.
+    joinNets(components, conducts, groundKey = GROUND_NET) {
+        const sets = new UnionFind();
+        components.forEach(component => {
+            if (!conducts(component)) return;
+
+            const [first, ...rest] = component.pins.map(pin => this.getNet(component, pin.name));
+            rest.forEach(net => sets.union(first.id, net.id));
+        });
+
+        const ground = sets.find(GROUND_NET);
+        const nodeOf = new Map();
+        components.forEach(component => {
+            component.pins.forEach(pin => {
+                const root = sets.find(this.getNet(component, pin.name).id);
+                nodeOf.set(`${component.id}:${pin.name}`, root === ground ? groundKey : root);
+            });
+        });
+        return nodeOf;
+    }
+
+    // Net a component's pin is on
+    getNet(component, pinName) {
+        return this.netOfPin.get(`${component.id}:${pinName}`) || null;
+    }
+
+    // Every net a component touches, one per distinct net
+    getNets(component) {
+        const nets = component.pins.map(pin => this.getNet(component, pin.name)).filter(Boolean);
+        return [...new Set(nets)];
+    }
+
+    // Net at a grid cell: a wire's net, or the net of the pin on that cell
+    getNetAt(gridX, gridY) {
+        const component = this.grid.getComponent(gridX, gridY);
+        if (!component) return null;
+
+        const pin = component.getPins().find(candidate => candidate.x === gridX && candidate.y === gridY);
+        return pin ? this.getNet(component, pin.name) : null;
+    }
+
+    getNetById(id) {
+        return this.nets.find(net => net.id === id) || null;
+    }
+
+    // Plain data for exporters and tools: each net with the component pins on it
+    toJSON() {
+        return this.nets.map(net => ({
+            id: net.id,
+            pins: net.pins.map(({ component, pin }) => ({
+                component: component.id,
+                type: component.type,
+                x: component.gridX,
+                y: component.gridY,
+                pin
+            })),
+            wires: net.wires.length
+        }));
+    }
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Netlist, GROUND_NET };
+}
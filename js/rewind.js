@@ -0,0 +1,117 @@
+// Rewind Buffer for CircuPlay - keeps the simulation's runtime state for the
+// last few hundred ticks, so it can be wound back to any of them and resumed
+//
+// This is signal state only (see CircuitSimulator.captureState), not the
+// layout: editing undo is CircuPlay.saveState's job. A snapshot only fits the
+// layout it was taken on, so the buffer empties whenever the grid changes.
+// Each tick keeps only the components that changed on it, so an idle tick
+// costs next to nothing however big the circuit is; a full state is only put
+// together to rewind to it.
+
+const REWIND_TICKS = 600; // Ticks kept: a minute of virtual time at 100 ms per tick
+
+class RewindBuffer {
+    constructor(grid, maxTicks = REWIND_TICKS) {
+        this.grid = grid;
+        this.maxTicks = maxTicks;
+        this.snapshots = []; // One per tick, oldest first: bookkeeping, plus undo (component -> state before that tick)
+        this.latest = null; // Component -> state at the last tick kept
+        this.revision = grid.revision; // Grid revision the snapshots were taken on
+    }
+
+    // Keep the simulator's state at its current tick, given the components
+    // that may have changed since the last tick kept (all of them are
+    // captured when the buffer is empty). Ticks after it are dropped: once
+    // the simulation runs on from a rewind, that is the history.
+    record(simulator, changed) {
+        this.checkRevision();
+
+        const tick = simulator.clock.tick;
+        while (this.snapshots.length > 0 && this.snapshots[this.snapshots.length - 1].tick >= tick) {
+            this.undo(this.snapshots.pop());
+        }
+
+        if (!this.latest) {
+            this.latest = simulator.captureState().components;
+            changed = [];
+        }
+
+        // Only what changed is kept, as the state it replaces
+        const state = simulator.captureState(changed);
+        const undo = new Map();
+        state.components.forEach((componentState, component) => {
+            const last = this.latest.get(component);
+            if (last && !RewindBuffer.sameState(last, componentState)) {
+                undo.set(component, last);
+                this.latest.set(component, componentState);
+            }
+        });
+        delete state.components;
+        state.undo = undo;
+
+        this.snapshots.push(state);
+        if (this.snapshots.length > this.maxTicks) {
+            this.snapshots.shift();
+        }
+    }
+
+    // The state kept for a tick, as from CircuitSimulator.captureState, or
+    // null. The components' states are worked back to from the latest ones.
+    get(tick) {
+        this.checkRevision();
+        const index = this.snapshots.findIndex(state => state.tick === tick);
+        if (index === -1) return null;
+
+        const components = new Map(this.latest);
+        for (let i = this.snapshots.length - 1; i > index; i--) {
+            this.snapshots[i].undo.forEach((componentState, component) => components.set(component, componentState));
+        }
+
+        const { undo, ...state } = this.snapshots[index];
+        return { ...state, components };
+    }
+
+    // First and last tick that can be rewound to, or null if none are kept
+    getRange() {
+        this.checkRevision();
+        if (this.snapshots.length === 0) return null;
+
+        return { first: this.snapshots[0].tick, last: this.snapshots[this.snapshots.length - 1].tick };
+    }
+
+    clear() {
+        this.snapshots = [];
+        this.latest = null;
+        this.revision = this.grid.revision;
+    }
+
+    // Take back a dropped tick's changes from the latest states
+    undo(snapshot) {
+        snapshot.undo.forEach((componentState, component) => this.latest.set(component, componentState));
+    }
+
+    // Whether two component states hold the same values (arrays, such as
+    // a gate's inputs, compared item by item)
+    static sameState(a, b) {
+        return Object.keys(a).every(key => {
+            const value = a[key];
+            const other = b[key];
+            if (Array.isArray(value)) {
+                return Array.isArray(other) && value.length === other.length && value.every((item, i) => item === other[i]);
+            }
+            return value === other;
+        });
+    }
+
+    // Snapshots of an older layout are no use
+    checkRevision() {
+        if (this.grid.revision !== this.revision) {
+            this.clear();
+        }
+    }
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RewindBuffer, REWIND_TICKS };
+}
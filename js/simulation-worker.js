@@ -0,0 +1,297 @@
+// Simulation Worker for CircuPlay - runs the circuit model and its ticks off
+// the main thread (see worker-client.js for the page's side)
+//
+// Messages in:  load { data, cols, rows, tick } (each part in data with its
+//               id on the page), settings { settings } (taskTick among them),
+//               update { id, x, y, properties, state }, step, rewind { tick }
+// Messages out: ticks { ticks: [{ tick, changes: [{ x, y, snapshot }] }],
+//               oscillating, shortCircuits, breakpoint, watchValues,
+//               probes: [{ id, changes }] },
+//               rewindRange, rewound { tick, changes, ... as ticks }
+// Every message carries the generation of the layout it belongs to.
+
+importScripts(
+    'grid.js', 'components.js', 'dc-solver.js', 'analyzer.js', 'netlist.js',
+    'watches.js', 'rewind.js', 'simulation.js', 'synthesis.js', 'worker-client.js'
+);
+
+const WORKER_LOOP_INTERVAL = 16; // Real milliseconds between runs of the loop
+
+// A simulator that notes what changed on each tick, to be posted in batches.
+// The logic analyzer, watches and rewind buffer are kept here too, and only
+// what they add is posted, so the page does no per-tick work of its own.
+class WorkerSimulator extends CircuitSimulator {
+    constructor(grid) {
+        super(grid);
+        this.sent = new Map(); // Component -> last snapshot posted, as JSON
+        this.touched = new Set(); // Components that may have changed since the last tick was noted
+        this.ticks = []; // Ticks not posted yet
+        this.events = {}; // Oscillations, short circuits and breakpoints not posted yet
+        this.postedTick = this.clock.tick; // Last tick of probe recordings posted
+        this.postedWatches = null; // Watch values last posted, as JSON
+        this.postedRange = undefined; // Rewind range last posted, as JSON
+        this.taskTick = null; // Tick the page's next scheduled task is due on, or null if it has none
+        this.stepsHeld = 0; // Steps asked for while waiting on the page's tasks
+
+        const position = component => ({ x: component.gridX, y: component.gridY });
+        this.onOscillation = gates => {
+            this.events.oscillating = gates.map(position);
+        };
+        this.onShortCircuit = shorts => {
+            this.events.shortCircuits = shorts.map(short => ({
+                message: short.message,
+                sources: short.sources.map(position),
+                path: short.path.map(position)
+            }));
+        };
+        this.onBreakpoint = hits => {
+            this.events.breakpoint = hits.map(hit => ({
+                index: this.watches.watches.indexOf(hit.watch),
+                from: hit.from,
+                to: hit.to,
+                components: hit.components.map(position)
+            }));
+        };
+    }
+
+    // Scheduled tasks hold on to the page's components, so the page runs
+    // them. Ticks stop short of the one a task is due on until the page has
+    // sent its edits, which then count on that tick as they would on the
+    // main thread.
+    waitingForTasks() {
+        return this.taskTick !== null && this.clock.tick + 1 >= this.taskTick;
+    }
+
+    canStep() {
+        return super.canStep() && !this.waitingForTasks();
+    }
+
+    step() {
+        const tick = super.step();
+        this.ticks.push({ tick, changes: this.collectChanges() });
+        return tick;
+    }
+
+    noteChanged(component) {
+        this.touched.add(component);
+        super.noteChanged(component);
+    }
+
+    // Have every component checked for changes, e.g. after a rewind
+    touchAll() {
+        this.components.forEach(component => this.touched.add(component));
+    }
+
+    // Touched components whose snapshot differs from the last one posted
+    collectChanges() {
+        const changes = [];
+        this.touched.forEach(component => {
+            const snapshot = SimulationWorkerClient.snapshot(component, this);
+            const json = JSON.stringify(snapshot);
+            if (this.sent.get(component) !== json) {
+                this.sent.set(component, json);
+                changes.push({ x: component.gridX, y: component.gridY, snapshot });
+            }
+        });
+        this.touched.clear();
+        return changes;
+    }
+
+    // Watch values and the range of ticks that can be rewound to, if they
+    // changed, and what the probes recorded since the last post
+    collectReports() {
+        const reports = {};
+
+        const rewindRange = this.rewindBuffer.getRange();
+        if (JSON.stringify(rewindRange) !== this.postedRange) {
+            this.postedRange = JSON.stringify(rewindRange);
+            reports.rewindRange = rewindRange;
+        }
+
+        const watchValues = this.watches.watches.map(watch => watch.value ?? null);
+        const json = JSON.stringify(watchValues);
+        if (json !== this.postedWatches) {
+            this.postedWatches = json;
+            reports.watchValues = watchValues;
+        }
+
+        const probes = this.analyzer.probes
+            .map(probe => ({ id: probe.component.id, changes: probe.changes.filter(change => change.tick > this.postedTick) }))
+            .filter(probe => probe.changes.length > 0);
+        if (probes.length > 0) {
+            reports.probes = probes;
+        }
+        this.postedTick = this.analyzer.lastTick;
+
+        return reports;
+    }
+
+    // Give the components of a newly loaded layout the ids they have on the
+    // page. Those the previous layout's simulator also had carry on from its
+    // state, as do gate outputs waiting on a delay and the clock, so an edit
+    // elsewhere doesn't restart timers or drop button presses.
+    carryOver(data, previous) {
+        const oldById = new Map(previous ? previous.components.map(component => [component.id, component]) : []);
+        const kept = new Map(); // Previous component -> its successor
+
+        data.components.forEach(entry => {
+            const component = this.grid.getComponent(entry.x, entry.y);
+            if (!component) return;
+
+            component.id = entry.id;
+            const old = oldById.get(entry.id);
+            if (old && old.type === component.type) {
+                component.setState(old.getState());
+                kept.set(old, component);
+            }
+        });
+        if (kept.size === 0) return;
+
+        this.clock.tick = previous.clock.tick;
+        this.clock.time = previous.clock.time;
+        this.pendingSignals = previous.pendingSignals
+            .filter(pending => kept.has(pending.gate))
+            .map(pending => ({ ...pending, gate: kept.get(pending.gate) }));
+    }
+
+    // Post the ticks, events and reports gathered since the last flush
+    flush(generation) {
+        const reports = this.collectReports();
+        if (this.ticks.length === 0 && Object.keys(this.events).length === 0 && Object.keys(reports).length === 0) return;
+
+        postMessage({ type: 'ticks', generation, ticks: this.ticks, ...this.events, ...reports });
+        this.ticks = [];
+        this.events = {};
+    }
+
+    // Match the page's settings, touching only what changed (most setters
+    // re-evaluate the whole circuit)
+    applySettings(settings) {
+        if (settings.realistic !== this.realistic) this.setRealistic(settings.realistic);
+        if (settings.mode !== this.mode) this.setMode(settings.mode);
+        if (settings.speed !== this.speed) this.setSpeed(settings.speed);
+
+        if (JSON.stringify(settings.gateDelays) !== JSON.stringify(this.gateDelays)) {
+            this.gateDelays = {};
+            Object.entries(settings.gateDelays).forEach(([type, ticks]) => this.setGateDelay(type, ticks));
+            this.invalidateAll();
+        }
+
+        const watches = this.watches.watches.map(watch => ({ text: watch.text, pauseOn: watch.pauseOn }));
+        if (JSON.stringify(settings.watches) !== JSON.stringify(watches)) {
+            this.watches = new WatchList();
+            settings.watches.forEach(watch => this.watches.add(watch.text, watch.pauseOn));
+            this.watches.evaluate(this.components); // Values to show before the next tick
+        }
+
+        // Probe the same components as the page
+        this.analyzer.probes
+            .filter(probe => !settings.probes.includes(probe.component.id))
+            .forEach(probe => this.analyzer.removeProbe(probe.component));
+        settings.probes.forEach(id => {
+            const component = this.components.find(candidate => candidate.id === id);
+            if (component) this.analyzer.addProbe(component);
+        });
+
+        if (settings.paused && !this.paused) {
+            this.pause();
+        } else if (!settings.paused && this.paused) {
+            this.resume();
+        }
+
+        this.taskTick = settings.taskTick;
+    }
+}
+
+let simulator = null;
+let generation = 0;
+let settings = null;
+
+onmessage = (e) => {
+    const message = e.data;
+    if (message.type === 'load') {
+        // A new layout, at the page's tick unless it keeps parts of the last
+        const previous = simulator;
+        generation = message.generation;
+        simulator = new WorkerSimulator(new GridModel(message.cols, message.rows, message.data.gridSize || 20));
+        simulator.clock.tick = message.tick;
+        simulator.clock.time = message.tick * simulator.clock.tickDuration;
+        simulator.lastUpdate = Date.now();
+        if (settings) simulator.applySettings(settings);
+        simulator.taskTick = message.tick + 1; // Until the page's settings say when its next task is due
+        simulator.importCircuit(message.data);
+        simulator.carryOver(message.data, previous);
+        return;
+    }
+
+    if (!simulator || message.generation !== generation) return;
+
+    switch (message.type) {
+        case 'settings':
+            settings = message.settings;
+            simulator.applySettings(settings);
+
+            // The page has run the tasks it was due to, so held steps can go ahead
+            while (simulator.stepsHeld > 0 && !simulator.waitingForTasks()) {
+                simulator.stepsHeld--;
+                simulator.step();
+            }
+            simulator.flush(generation);
+            break;
+
+        case 'update': {
+            // Only what an edit on the page changed, the rest of the
+            // component's state being this simulator's. A part placed since
+            // the last layout isn't here yet; it comes with the next one.
+            const component = simulator.grid.getComponent(message.x, message.y);
+            if (component && component.id === message.id) {
+                component.setProperties(message.properties);
+                component.setState(Object.assign(component.getState(), message.state));
+                simulator.invalidate(component);
+            }
+            break;
+        }
+
+        case 'step':
+            if (simulator.waitingForTasks()) {
+                simulator.stepsHeld++;
+                break;
+            }
+            simulator.step();
+            simulator.flush(generation);
+            break;
+
+        case 'rewind':
+            // Every component is sent, as the page has only its newer copy;
+            // if this tick isn't kept, the page comes to the current one.
+            // Ticks not posted yet are after it, so they're dropped, as are
+            // steps held for the page's tasks.
+            simulator.pause();
+            simulator.stepsHeld = 0;
+            simulator.rewindTo(message.tick);
+            simulator.sent.clear();
+            simulator.touchAll();
+            simulator.postedTick = simulator.clock.tick;
+            simulator.ticks = [];
+            postMessage({
+                type: 'rewound',
+                generation,
+                tick: simulator.clock.tick,
+                changes: simulator.collectChanges(),
+                ...simulator.events,
+                ...simulator.collectReports()
+            });
+            simulator.events = {};
+            break;
+    }
+};
+
+// Timers keep running in a background tab, unlike animation frames
+function loop() {
+    if (simulator) {
+        if (!simulator.paused) simulator.advance(Date.now());
+        simulator.flush(generation); // Paused, watches can still change (e.g. one just added)
+    }
+    setTimeout(loop, simulator && simulator.speed === 'max' ? 0 : WORKER_LOOP_INTERVAL);
+}
+loop();
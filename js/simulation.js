@@ -1,13 +1,78 @@
 // Circuit Simulation Engine for CircuPlay
+
+// Virtual simulation clock - time-dependent components read this instead of
+// the wall clock, so the same circuit always produces the same trace
+class SimulationClock {
+    constructor(tickDuration = 100) {
+        this.tickDuration = tickDuration; // Virtual milliseconds per tick
+        this.tick = 0;
+        this.time = 0;
+    }
+    
+    // Advance by one tick
+    advance() {
+        this.tick++;
+        this.time = this.tick * this.tickDuration;
+    }
+    
+    // Current virtual time in milliseconds
+    now() {
+        return this.time;
+    }
+    
+    // Rewind to tick 0
+    reset() {
+        this.tick = 0;
+        this.time = 0;
+    }
+}
+
+const MIN_SPEED = 0.1;
+const MAX_SPEED = 10;
+const MAX_SPEED_FRAME_BUDGET = 12; // Real milliseconds per frame spent stepping at max speed
+const MAX_SPEED_ANIMATION = MAX_SPEED; // Animation rate at max speed
+const MAX_STEPS_PER_FRAME = 50; // Ticks caught up in one frame before the backlog is dropped
+
 class CircuitSimulator {
     constructor(grid) {
         this.grid = grid;
         this.running = false;
+        this.paused = false;
         this.components = [];
         this.powerSources = [];
+        this.timedComponents = []; // Components that update every tick
+        this.dirty = new Set(); // Components whose surroundings need re-evaluating
         this.animationId = null;
         this.lastUpdate = 0;
-        this.updateInterval = 100; // Update every 100ms
+        this.updateInterval = 100; // Real milliseconds between ticks at 1x speed
+        this.speed = 1; // Multiple of real time from MIN_SPEED to MAX_SPEED, or 'max' for as fast as possible
+        this.lastFrame = 0; // Real time of the last animation frame
+        this.clock = new SimulationClock(this.updateInterval);
+        this.oscillationThreshold = 20; // Ticks a feedback loop may keep changing before it's reported
+        this.unsettledTicks = new Map(); // Gate -> consecutive ticks its feedback loop changed
+        this.onOscillation = null; // Called with gates whose feedback loop never settles
+        this.onBurnOut = null; // Called with an LED that just burnt out from too much current
+        this.batteryLoads = new Map(); // Battery with a capacity -> milliamps it supplies, as last evaluated
+        this.onBatteryEmpty = null; // Called with a battery that just ran flat
+        this.shortCircuits = new Map(); // Battery -> short circuit it is part of
+        this.gateDelays = {}; // Gate type -> default propagation delay in ticks (0 when unset)
+        this.pendingSignals = []; // Delayed gate output changes: { gate, signal, tick }
+        this.onShortCircuit = null; // Called with the current short circuits whenever the circuit changes
+        this.scheduledTasks = []; // Repeating callbacks driven by the virtual clock
+        this.realistic = false; // Only power parts on a closed loop back to a negative terminal or ground
+        this.mode = 'logic'; // 'logic' floods power on/off, 'dc' also solves voltages and currents
+        this.dcSolver = new DCSolver(grid);
+        this.readings = new Map(); // Component -> DC reading (pin voltages, current), in 'dc' mode
+        this.minimumCurrent = 0.001; // Amps a load needs to count as powered in 'dc' mode
+        this.minimumVoltage = 0.5; // Volts a conductor needs to count as powered in 'dc' mode
+        this.analyzer = new LogicAnalyzer(); // Per-tick history of probed components
+        this.watches = new WatchList(); // Expressions over labelled parts, checked every tick
+        this.breakpointHits = []; // Watches that fired on the latest tick
+        this.onBreakpoint = null; // Called with the hits when a watch pauses the simulation
+        this.rewindBuffer = new RewindBuffer(grid); // Runtime state of recent ticks, for rewinding
+        this.changed = new Set(); // Components whose state may have changed since the last tick was kept for rewinding
+        this.netlist = null; // Nets of connected pins, rebuilt when the layout changes (see getNetlist)
+        this.worker = null; // SimulationWorkerClient running the ticks off the main thread, if any
     }
     
     // Add component to simulation
@@ -19,6 +84,14 @@ class CircuitSimulator {
             if (component.type === 'battery') {
                 this.powerSources.push(component);
             }
+            
+            if (component.timeDependent) {
+                this.timedComponents.push(component);
+            }
+            
+            component.onStateChange = changed => this.invalidate(changed);
+            this.invalidate(component);
+            this.netlist = null;
         }
     }
     
@@ -33,6 +106,150 @@ class CircuitSimulator {
         if (powerIndex > -1) {
             this.powerSources.splice(powerIndex, 1);
         }
+        
+        const timedIndex = this.timedComponents.indexOf(component);
+        if (timedIndex > -1) {
+            this.timedComponents.splice(timedIndex, 1);
+        }
+        
+        component.onStateChange = null;
+        this.dirty.delete(component);
+        this.changed.delete(component);
+        this.unsettledTicks.delete(component);
+        this.readings.delete(component);
+        this.shortCircuits.delete(component);
+        this.batteryLoads.delete(component);
+        this.pendingSignals = this.pendingSignals.filter(pending => pending.gate !== component);
+        this.analyzer.removeProbe(component);
+        this.netlist = null;
+        
+        // Whatever it was touching has to be re-evaluated without it
+        this.grid.getComponentNeighbors(component).forEach(neighbor => this.dirty.add(neighbor));
+    }
+    
+    // Rotate a placed component (by default 90 degrees clockwise), turning its
+    // footprint on the grid. Returns false if the turned footprint is blocked.
+    rotateComponent(component, rotation = (component.rotation + 90) % 360) {
+        if (!this.grid.canRotateComponent(component, rotation)) {
+            return false;
+        }
+        
+        // Neighbours around the old footprint may lose a connection
+        this.invalidate(component);
+        this.grid.rotateComponent(component, rotation);
+        this.invalidate(component);
+        return true;
+    }
+    
+    // Schedule a component and its neighbours for re-evaluation
+    invalidate(component) {
+        if (this.worker) {
+            this.worker.componentChanged(component);
+            return;
+        }
+        
+        this.noteChanged(component);
+        this.dirty.add(component);
+        this.grid.getComponentNeighbors(component).forEach(neighbor => this.dirty.add(neighbor));
+    }
+    
+    // Note a component whose state may have changed this tick
+    noteChanged(component) {
+        this.changed.add(component);
+    }
+    
+    // Schedule the whole circuit for re-evaluation
+    invalidateAll() {
+        this.components.forEach(component => this.dirty.add(component));
+    }
+    
+    // Switch realistic mode, where current needs a complete loop to flow
+    setRealistic(realistic) {
+        this.realistic = realistic;
+        this.invalidateAll();
+    }
+    
+    // Switch simulation mode: 'logic' (boolean power flow) or 'dc' (nodal analysis
+    // of node voltages and branch currents on top of the logic pass)
+    setMode(mode) {
+        if (mode !== 'logic' && mode !== 'dc') {
+            console.warn(`Unknown simulation mode: ${mode}`);
+            return false;
+        }
+        
+        this.mode = mode;
+        this.readings.clear();
+        
+        // LED brightness goes back to plain on/off until the next solve
+        this.components.forEach(component => {
+            if (component.type === 'led') {
+                component.current = null;
+            }
+        });
+        this.invalidateAll();
+        return true;
+    }
+    
+    // Set the propagation delay (in ticks) of every gate of a type that
+    // doesn't have its own
+    setGateDelay(type, ticks) {
+        this.gateDelays[type] = ticks;
+        this.invalidateAll();
+    }
+    
+    // Ticks a gate's output takes to follow its inputs
+    getGateDelay(gate) {
+        return gate.delay ?? this.gateDelays[gate.type] ?? 0;
+    }
+    
+    // DC reading of a component ({ pins: { name: volts }, current: amps or null }),
+    // or null outside 'dc' mode
+    getReading(component) {
+        return this.readings.get(component) || null;
+    }
+    
+    // Remove every component from the simulation and the grid
+    clear() {
+        this.grid.clear();
+        this.components = [];
+        this.powerSources = [];
+        this.timedComponents = [];
+        this.dirty.clear();
+        this.changed.clear();
+        this.unsettledTicks.clear();
+        this.readings.clear();
+        this.shortCircuits.clear();
+        this.batteryLoads.clear();
+        this.pendingSignals = [];
+        this.scheduledTasks = [];
+        this.clock.reset();
+        this.analyzer.clear();
+        this.watches.reset();
+        this.breakpointHits = [];
+    }
+    
+    // Create a component from serialized data and place it on the grid
+    createComponentFromData(componentData) {
+        const component = ComponentFactory.create(
+            componentData.type,
+            componentData.x * this.grid.gridSize,
+            componentData.y * this.grid.gridSize
+        );
+        
+        if (component) {
+            // Set properties if available
+            if (componentData.properties) {
+                component.setProperties(componentData.properties);
+            }
+            
+            // Place on grid
+            if (this.grid.placeComponent(component, componentData.x, componentData.y)) {
+                this.addComponent(component);
+                return component;
+            }
+        }
+        
+        return null;
     }
     
     // Start simulation
@@ -50,110 +267,731 @@ class CircuitSimulator {
         }
     }
     
-    // Main simulation loop
+    // Pause the virtual clock (the loop keeps running so stepping still works)
+    pause() {
+        this.paused = true;
+    }
+    
+    // Resume the virtual clock
+    resume() {
+        this.paused = false;
+        this.lastUpdate = Date.now();
+    }
+    
+    // Run faster or slower than real time. Virtual time per tick stays the
+    // same, so timers and delays keep their pace relative to the circuit.
+    setSpeed(speed) {
+        if (speed === 'max') {
+            this.speed = 'max';
+        } else if (Number.isFinite(speed)) {
+            this.speed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, speed));
+        } else {
+            console.warn(`Unknown simulation speed: ${speed}`);
+            return false;
+        }
+        this.lastUpdate = Date.now();
+        return true;
+    }
+    
+    // Advance the simulation by exactly one tick
+    step() {
+        if (this.worker) {
+            this.worker.step();
+            return this.clock.tick + 1;
+        }
+        
+        this.clock.advance();
+        this.runScheduledTasks();
+        this.updateCircuit();
+        this.analyzer.record(this.clock.tick);
+        this.checkWatches();
+        
+        // Timed parts move on without announcing it, as do draining batteries
+        this.timedComponents.forEach(component => this.noteChanged(component));
+        this.batteryLoads.forEach((milliamps, battery) => this.noteChanged(battery));
+        this.rewindBuffer.record(this, this.changed);
+        this.changed.clear();
+        return this.clock.tick;
+    }
+    
+    // Everything that changes as the circuit runs, at the current tick: each
+    // component's getState() (or just those given) and the simulator's own
+    // bookkeeping. Only good for the layout it was taken on (see RewindBuffer).
+    captureState(components = this.components) {
+        return {
+            tick: this.clock.tick,
+            components: new Map([...components].map(component => [component, component.getState()])),
+            readings: [...this.readings],
+            pendingSignals: this.pendingSignals.map(pending => ({ ...pending })),
+            dirty: [...this.dirty],
+            unsettledTicks: [...this.unsettledTicks],
+            shortCircuits: [...this.shortCircuits],
+            batteryLoads: [...this.batteryLoads],
+            taskTimes: this.scheduledTasks.map(task => task.nextTime)
+        };
+    }
+    
+    // Put back a state from captureState(). The logic analyzer drops what it
+    // recorded after that tick, and watches start over from the values there.
+    restoreState(state) {
+        this.clock.tick = state.tick;
+        this.clock.time = state.tick * this.clock.tickDuration;
+        
+        state.components.forEach((componentState, component) => component.setState(componentState));
+        this.readings = new Map(state.readings);
+        this.pendingSignals = state.pendingSignals.map(pending => ({ ...pending }));
+        this.dirty = new Set(state.dirty);
+        this.unsettledTicks = new Map(state.unsettledTicks);
+        this.shortCircuits = new Map(state.shortCircuits);
+        this.batteryLoads = new Map(state.batteryLoads);
+        this.scheduledTasks.forEach((task, i) => {
+            if (state.taskTimes[i] !== undefined) task.nextTime = state.taskTimes[i];
+        });
+        
+        this.analyzer.rewind(state.tick);
+        this.watches.reset();
+        this.watches.evaluate(this.components);
+        this.breakpointHits = [];
+        this.lastUpdate = Date.now();
+        
+        if (this.onShortCircuit) {
+            this.onShortCircuit(this.getShortCircuits());
+        }
+    }
+    
+    // Wind the simulation back to an earlier tick and pause there; resuming
+    // or stepping carries on from it. Returns false if that tick isn't kept.
+    // With a worker, the worker rewinds and the page follows when it answers.
+    rewindTo(tick) {
+        if (this.worker) {
+            return this.worker.rewind(tick);
+        }
+        
+        const state = this.rewindBuffer.get(tick);
+        if (!state) {
+            console.warn(`No simulation state kept for tick ${tick}`);
+            return false;
+        }
+        
+        this.paused = true;
+        this.restoreState(state);
+        return true;
+    }
+    
+    // First and last tick that can be rewound to, or null if none are kept
+    getRewindRange() {
+        return this.worker ? this.worker.rewindRange : this.rewindBuffer.getRange();
+    }
+    
+    // Pause if a watch's condition was just met. Only the real-time loop
+    // stops; step() and runTicks() still advance when asked.
+    checkWatches() {
+        const hits = this.watches.evaluate(this.components);
+        this.breakpointHits = hits;
+        if (hits.length === 0) return;
+        
+        this.paused = true;
+        if (this.onBreakpoint) {
+            this.onBreakpoint(hits);
+        }
+    }
+    
+    // Advance the simulation by n ticks
+    runTicks(n) {
+        for (let i = 0; i < n; i++) {
+            this.step();
+        }
+        return this.clock.tick;
+    }
+    
+    // Step until nothing is left to re-evaluate or waiting on a gate delay.
+    // Returns false if the circuit is still changing after maxTicks (e.g. an
+    // oscillator). Timers and scheduled tasks aren't waited for.
+    settle(maxTicks = 100) {
+        for (let i = 0; i < maxTicks; i++) {
+            this.step();
+            if (this.dirty.size === 0 && this.pendingSignals.length === 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Call back every period milliseconds of virtual time
+    every(period, callback) {
+        const task = { period, nextTime: this.clock.now() + period, callback };
+        this.scheduledTasks.push(task);
+        return task;
+    }
+    
+    // Run scheduled tasks that are due at the current virtual time
+    runScheduledTasks() {
+        const now = this.clock.now();
+        this.scheduledTasks.forEach(task => {
+            while (task.nextTime <= now) {
+                task.callback();
+                task.nextTime += task.period;
+            }
+        });
+    }
+    
+    // Main simulation loop - real time only decides when to step
     simulate() {
         if (!this.running) return;
         
         const now = Date.now();
-        if (now - this.lastUpdate >= this.updateInterval) {
-            this.updateCircuit();
-            this.lastUpdate = now;
+        if (this.worker) {
+            // Ticks run in the worker; send it any edits since the last frame
+            this.worker.update();
+        } else if (!this.paused) {
+            this.advance(now);
         }
         
+        // Animations run at the same speed as the circuit
+        if (!this.paused) {
+            const rate = this.speed === 'max' ? MAX_SPEED_ANIMATION : this.speed;
+            Component.animationTime += (now - (this.lastFrame || now)) * rate;
+        }
+        this.lastFrame = now;
+        
         this.animationId = requestAnimationFrame(() => this.simulate());
     }
     
-    // Update circuit state
+    // Whether the real-time loop may run another tick
+    canStep() {
+        return !this.paused;
+    }
+    
+    // Run the ticks that are due by real time now at the current speed
+    advance(now) {
+        if (this.speed === 'max') {
+            // As many ticks as fit in the frame
+            while (this.canStep() && Date.now() - now < MAX_SPEED_FRAME_BUDGET) {
+                this.step();
+            }
+            this.lastUpdate = now;
+            return;
+        }
+        
+        // Catch up on the ticks due since the last one, so speeds above the
+        // frame rate still run several ticks per frame
+        const interval = this.updateInterval / this.speed;
+        const due = Math.floor((now - this.lastUpdate) / interval);
+        for (let i = 0; i < Math.min(due, MAX_STEPS_PER_FRAME) && this.canStep(); i++) {
+            this.step();
+        }
+        this.lastUpdate = due > MAX_STEPS_PER_FRAME ? now : this.lastUpdate + due * interval;
+    }
+    
+    // Update circuit state at the current virtual time (the worker's job, if there is one)
     updateCircuit() {
-        // Reset all component power states (except batteries)
-        this.components.forEach(component => {
-            if (component.type !== 'battery') {
-                component.powered = false;
-                if (component instanceof LogicGate) {
-                    component.inputs = [];
+        if (this.worker) return;
+        
+        this.applyPendingSignals();
+        
+        // Only islands containing a changed component are re-evaluated
+        if (this.dirty.size > 0) {
+            const seeds = [...this.dirty];
+            this.dirty.clear();
+            const region = this.collectRegion(seeds);
+            const nets = this.dcSolver.buildNodes(region, this.getNetlist());
+            this.evaluateRegion(region, nets);
+            this.checkShortCircuits(region, nets);
+        }
+        
+        // Time-dependent components advance every tick; state changes they
+        // make (e.g. a timer expiring) mark them dirty for the next tick
+        const now = this.clock.now();
+        this.timedComponents.forEach(component => {
+            component.update(now);
+        });
+        
+        this.drainBatteries();
+    }
+    
+    // Run batteries down by what they supplied over the tick. One that runs
+    // flat drops out of the circuit on the next tick.
+    drainBatteries() {
+        this.batteryLoads.forEach((milliamps, battery) => {
+            if (battery.drain(milliamps, this.clock.tickDuration) && this.onBatteryEmpty) {
+                this.onBatteryEmpty(battery);
+            }
+        });
+    }
+    
+    // Drive delayed gate outputs whose time has come
+    applyPendingSignals() {
+        const tick = this.clock.tick;
+        if (!this.pendingSignals.some(pending => pending.tick <= tick)) return;
+        
+        const due = this.pendingSignals.filter(pending => pending.tick <= tick)
+            .sort((a, b) => a.tick - b.tick);
+        this.pendingSignals = this.pendingSignals.filter(pending => pending.tick > tick);
+        
+        due.forEach(({ gate, signal }) => {
+            gate.setSignal(signal);
+            this.invalidate(gate);
+        });
+    }
+    
+    // Schedule a gate's output to change after its delay. Every change is
+    // kept (transport delay), so short glitches travel through the circuit.
+    scheduleSignal(gate, signal, delay) {
+        const pending = this.pendingSignals.filter(entry => entry.gate === gate);
+        const latest = pending.length > 0 ? pending[pending.length - 1].signal : gate.signal;
+        if (signal !== latest) {
+            this.pendingSignals.push({ gate, signal, tick: this.clock.tick + delay });
+        }
+    }
+    
+    // Re-check one region for short circuits and report the whole circuit's
+    checkShortCircuits(region, nets) {
+        region.forEach(component => this.shortCircuits.delete(component));
+        this.dcSolver.findShorts(region, nets).forEach(short => {
+            this.shortCircuits.set(short.sources[0], short);
+        });
+        
+        if (this.onShortCircuit) {
+            this.onShortCircuit(this.getShortCircuits());
+        }
+    }
+    
+    // Current netlist, rebuilt only when the layout or the set of simulated
+    // components has changed since the last call. Circuit evaluation and the
+    // DC solver work on it, as do tools such as net highlighting.
+    getNetlist() {
+        if (!this.netlist || this.netlist.revision !== this.grid.revision) {
+            this.netlist = new Netlist(this.grid, this.components);
+        }
+        return this.netlist;
+    }
+    
+    // Short circuits found so far ({ kind, sources, message, path })
+    getShortCircuits() {
+        return [...this.shortCircuits.values()];
+    }
+    
+    // Collect every component connected to the seeds through adjacent cells
+    collectRegion(seeds) {
+        const region = new Set(seeds);
+        const queue = [...seeds];
+        
+        for (let i = 0; i < queue.length; i++) {
+            for (const neighbor of this.grid.getComponentNeighbors(queue[i])) {
+                if (!region.has(neighbor)) {
+                    region.add(neighbor);
+                    queue.push(neighbor);
                 }
             }
+        }
+        
+        return [...region];
+    }
+    
+    // Re-flood power and evaluate logic gates inside one region
+    evaluateRegion(region, nets) {
+        region.forEach(component => this.noteChanged(component));
+        
+        // Gates in a stable order (top to bottom, left to right) so the same
+        // circuit always breaks its feedback loops at the same place
+        const gates = region.filter(c => c instanceof LogicGate)
+            .sort((a, b) => a.gridY - b.gridY || a.gridX - b.gridX);
+        
+        const drivers = this.collectNetDrivers(region, nets);
+        const inputNets = new Map(gates.map(gate => [gate, gate.pins
+            .filter(pin => pin.direction === 'in')
+            .map(pin => nets.get(`${gate.id}:${pin.name}`))]));
+        const gateDrivers = new Map(gates.map(gate => [gate, [...new Set(
+            inputNets.get(gate).flatMap(net => this.getNetGates(net, drivers))
+        )]]));
+        
+        // Drivers are evaluated before the gates they feed, so a chain settles in
+        // one pass; edges closing a feedback loop read the previous tick's output
+        const { order, loopEdges } = this.orderGates(gates, gateDrivers);
+        const previousSignals = new Map(gates.map(gate => [gate, gate.signal]));
+        
+        order.forEach(gate => {
+            const signalOf = driver => loopEdges.has(driver) && loopEdges.get(driver).has(gate) ?
+                previousSignals.get(driver) :
+                driver.signal;
+            gate.inputs = inputNets.get(gate).map(net => this.getNetSignal(net, drivers, signalOf));
+            
+            const delay = this.getGateDelay(gate);
+            if (delay > 0) {
+                this.scheduleSignal(gate, gate.calculate(), delay);
+            } else {
+                gate.update();
+            }
         });
         
-        // Propagate power from each power source
-        this.powerSources.forEach(powerSource => {
-            if (powerSource.powered) {
-                this.propagatePower(powerSource, new Set());
+        // Wires show the settled state of their net
+        region.forEach(component => {
+            if (component.type === 'wire') {
+                component.signal = this.getNetSignal(nets.get(`${component.id}:left`), drivers, gate => gate.signal);
             }
         });
         
-        // Update logic gates after power propagation so they can see powered inputs
-        this.updateLogicGates();
+        const sources = this.floodRegion(region);
+        if (this.mode === 'dc') {
+            this.solveRegion(region, nets);
+        }
+        this.traceFlow(region, nets, sources);
+        this.measureLoads(region);
+        
+        // A loop whose fed-back value changed hasn't settled - its state moves
+        // on by one step per tick (latches settle, ring oscillators keep going)
+        const unsettled = [...loopEdges.keys()]
+            .filter(driver => driver.signal !== previousSignals.get(driver));
+        
+        return this.trackUnsettledLoops(gates, unsettled);
+    }
+    
+    // What drives each net: fixed levels (a battery's + terminal is 1, the
+    // return is 0), gate outputs, and nets joined to it through a resistor,
+    // which only pull it when nothing drives it directly (e.g. a pull-down)
+    collectNetDrivers(region, nets) {
+        const drivers = new Map();
+        const driversOf = (component, pinName) => {
+            const net = nets.get(`${component.id}:${pinName}`);
+            if (!drivers.has(net)) {
+                drivers.set(net, { levels: [], gates: [], weak: [] });
+            }
+            return drivers.get(net);
+        };
+        
+        region.forEach(component => {
+            switch (component.type) {
+                case 'battery':
+                    if (component.powered) {
+                        driversOf(component, 'positive').levels.push('1');
+                    }
+                    driversOf(component, 'negative').levels.push('0');
+                    break;
+                case 'ground':
+                    driversOf(component, 'ground').levels.push('0');
+                    break;
+                case 'resistor': {
+                    const a = nets.get(`${component.id}:a`);
+                    const b = nets.get(`${component.id}:b`);
+                    if (a !== b) {
+                        driversOf(component, 'a').weak.push(b);
+                        driversOf(component, 'b').weak.push(a);
+                    }
+                    break;
+                }
+                default:
+                    if (component instanceof LogicGate) {
+                        driversOf(component, 'out').gates.push(component);
+                    }
+            }
+        });
         
-        // Propagate power from logic gates that now have output=true
-        const gates = this.components.filter(c => c instanceof LogicGate);
+        return drivers;
+    }
+    
+    // Gates whose output decides a net, directly or through a resistor
+    getNetGates(net, drivers) {
+        const entry = drivers.get(net);
+        if (!entry) return [];
+        return [...entry.gates, ...entry.weak.flatMap(other => drivers.get(other)?.gates || [])];
+    }
+    
+    // Resolve a net to '0', '1', 'Z' (nothing drives it) or 'X' (its drivers
+    // disagree). signalOf gives the value each driving gate counts with.
+    getNetSignal(net, drivers, signalOf) {
+        const strong = this.getStrongSignal(net, drivers, signalOf);
+        if (strong !== 'Z') {
+            return strong;
+        }
+        
+        const entry = drivers.get(net);
+        return resolveSignals((entry ? entry.weak : [])
+            .map(other => this.getStrongSignal(other, drivers, signalOf))
+            .filter(signal => signal !== 'Z'));
+    }
+    
+    // Resolve only what is wired straight onto a net
+    getStrongSignal(net, drivers, signalOf) {
+        const entry = drivers.get(net);
+        if (!entry) return 'Z';
+        return resolveSignals([...entry.levels, ...entry.gates.map(signalOf)]);
+    }
+    
+    // Keep unsettled feedback loops scheduled and report ones that never settle
+    trackUnsettledLoops(gates, unsettled) {
         gates.forEach(gate => {
-            if (gate.output) {
-                this.propagatePower(gate, new Set());
+            if (!unsettled.includes(gate)) {
+                this.unsettledTicks.delete(gate);
             }
         });
         
-        // Update all components again after logic gate power propagation
-        this.components.forEach(component => {
-            component.update();
+        if (unsettled.length === 0) {
+            return true;
+        }
+        
+        unsettled.forEach(gate => {
+            this.dirty.add(gate);
+            this.unsettledTicks.set(gate, (this.unsettledTicks.get(gate) || 0) + 1);
         });
+        
+        const oscillating = unsettled.filter(gate =>
+            this.unsettledTicks.get(gate) === this.oscillationThreshold);
+        if (oscillating.length > 0 && this.onOscillation) {
+            this.onOscillation(oscillating);
+        }
+        return false;
     }
     
-    // Propagate power through the circuit
-    propagatePower(source, visited) {
-        if (visited.has(source.id)) return;
-        visited.add(source.id);
+    // Order gates so drivers come before the gates they feed. Edges that would
+    // close a cycle are returned as loop edges (driver -> set of gates it feeds).
+    orderGates(gates, gateDrivers) {
+        const order = [];
+        const loopEdges = new Map();
+        const visiting = new Set();
+        const done = new Set();
         
-        const neighbors = this.grid.getNeighbors(source.gridX, source.gridY);
+        // Depth-first over drivers with an explicit stack, so long gate chains
+        // can't overflow the call stack
+        gates.forEach(root => {
+            if (done.has(root)) return;
+            
+            const stack = [{ gate: root, next: 0 }];
+            visiting.add(root);
+            
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const drivers = gateDrivers.get(frame.gate);
+                
+                if (frame.next < drivers.length) {
+                    const driver = drivers[frame.next++];
+                    if (visiting.has(driver)) {
+                        if (!loopEdges.has(driver)) {
+                            loopEdges.set(driver, new Set());
+                        }
+                        loopEdges.get(driver).add(frame.gate);
+                    } else if (!done.has(driver)) {
+                        visiting.add(driver);
+                        stack.push({ gate: driver, next: 0 });
+                    }
+                } else {
+                    stack.pop();
+                    visiting.delete(frame.gate);
+                    done.add(frame.gate);
+                    order.push(frame.gate);
+                }
+            }
+        });
         
-        for (const neighbor of neighbors) {
-            const component = neighbor.component;
+        return { order, loopEdges };
+    }
+    
+    // Flood power from batteries and high gate outputs through one region.
+    // Returns what each reached component was reached from.
+    floodRegion(region) {
+        // Reset component power states (batteries are always on, gates follow their output)
+        region.forEach(component => {
+            if (component.type !== 'battery' && !(component instanceof LogicGate)) {
+                component.powered = false;
+            }
+        });
+        
+        const visited = new Set();
+        const reached = [];
+        const sources = new Map();
+        region.forEach(component => {
+            const isSource = component.type === 'battery' ?
+                component.powered :
+                component instanceof LogicGate && component.output;
+            if (isSource) {
+                this.floodFrom(component, visited, (target, from) => {
+                    reached.push(target);
+                    if (!sources.has(target)) sources.set(target, from);
+                });
+            }
+        });
+        
+        // In realistic mode current only flows where it can also get back to a
+        // return; timers still sense the voltage on their input
+        const returning = this.realistic ? this.collectReturnPaths(region) : null;
+        reached.forEach(component => {
+            if (!returning || returning.has(component) || component.type === 'timer') {
+                component.powered = true;
+            }
+        });
+        
+        return sources;
+    }
+    
+    // Which way power moves through each powered wire in a region, for its
+    // sparks: in from the side the flood reached it from, out to the powered
+    // parts (and gate inputs) it passed it on to. In 'dc' mode the wire also
+    // gets the current through its node.
+    traceFlow(region, nets, sources) {
+        const nodeCurrents = this.mode === 'dc' ? this.measureNodeCurrents(region, nets) : null;
+        
+        region.forEach(component => {
+            if (component.type !== 'wire') return;
+            if (!component.powered) {
+                component.flow = null;
+                return;
+            }
             
-            // Skip if already visited or can't conduct
-            if (visited.has(component.id) || !this.canConduct(component)) {
-                continue;
+            const flow = { in: [], out: [], current: null };
+            this.grid.getConnections(component).forEach(({ component: other, pin, otherPin }) => {
+                if (sources.get(component) === other) {
+                    flow.in.push(pin.side);
+                } else if ((sources.get(other) === component && other.powered) ||
+                    (other instanceof LogicGate && otherPin.direction === 'in')) {
+                    flow.out.push(pin.side);
+                }
+            });
+            if (nodeCurrents) {
+                flow.current = nodeCurrents.get(nets.get(`${component.id}:left`)) || 0;
             }
+            component.flow = flow;
+        });
+    }
+    
+    // Current through each node of the last DC solve: half of what flows
+    // through the parts on it, as all that flows in flows out again
+    measureNodeCurrents(region, nets) {
+        const currents = new Map();
+        region.forEach(component => {
+            const reading = this.readings.get(component);
+            if (!reading || reading.current === null) return;
             
-            // Power the component
-            component.powered = true;
+            // A gate's current only flows through its output
+            const pins = component instanceof LogicGate ? ['out'] : component.pins.map(pin => pin.name);
+            pins.forEach(pinName => {
+                const node = nets.get(`${component.id}:${pinName}`);
+                currents.set(node, (currents.get(node) || 0) + Math.abs(reading.current) / 2);
+            });
+        });
+        return currents;
+    }
+    
+    // Solve node voltages and branch currents in one region. Loads are powered
+    // when enough current flows through them, conductors when they carry a
+    // voltage; batteries, gates and timers keep the state of the logic pass.
+    solveRegion(region, nets) {
+        const readings = this.dcSolver.solve(region, nets);
+        
+        readings.forEach((reading, component) => {
+            this.readings.set(component, reading);
             
-            // Continue propagation through wires and conductors
-            if (this.shouldPropagate(component)) {
-                this.propagatePower(component, visited);
+            switch (component.type) {
+                case 'led':
+                    component.current = reading.current;
+                    component.powered = Math.abs(reading.current) >= this.minimumCurrent;
+                    
+                    // Driven with no resistor to limit the current
+                    if (reading.current > component.maxCurrent) {
+                        component.burnOut();
+                        if (this.onBurnOut) {
+                            this.onBurnOut(component);
+                        }
+                    }
+                    break;
+                case 'buzzer':
+                case 'resistor':
+                    component.powered = Math.abs(reading.current) >= this.minimumCurrent;
+                    break;
+                case 'wire':
+                case 'switch':
+                case 'push-button':
+                    component.powered = Object.values(reading.pins)
+                        .some(voltage => voltage >= this.minimumVoltage);
+                    break;
             }
-        }
+        });
+    }
+    
+    // What each battery with a capacity in a region supplies: in 'dc' mode
+    // the current solved through it, otherwise the currentDraw of every
+    // powered part in the region, shared between its powered batteries
+    measureLoads(region) {
+        const batteries = region.filter(component => component.type === 'battery');
+        batteries.forEach(battery => this.batteryLoads.delete(battery));
+        
+        const supplying = batteries.filter(battery => battery.powered);
+        const draw = this.mode === 'dc' ? 0 : region.reduce((total, component) =>
+            total + (component.powered && component.type !== 'battery' ? component.currentDraw : 0), 0);
         
-        // Special handling for logic gates - propagate power from output terminal
-        if (source instanceof LogicGate && source.output) {
-            // For logic gates, also check the output position (to the right of the gate)
-            const outputX = source.gridX + 1;
-            const outputY = source.gridY + 1; // Middle of the 3x1 gate
+        supplying.forEach(battery => {
+            if (battery.capacity === null) return;
             
-            const outputComponent = this.grid.getComponent(outputX, outputY);
-            if (outputComponent && !visited.has(outputComponent.id) && this.canConduct(outputComponent)) {
-                outputComponent.powered = true;
-                if (this.shouldPropagate(outputComponent)) {
-                    this.propagatePower(outputComponent, visited);
+            const reading = this.readings.get(battery);
+            const milliamps = this.mode === 'dc' ?
+                (reading ? Math.max(0, reading.current) * 1000 : 0) :
+                draw / supplying.length;
+            if (milliamps > 0) {
+                this.batteryLoads.set(battery, milliamps);
+            }
+        });
+    }
+    
+    // Components current can flow on from to reach a return: the negative
+    // terminal of a battery or a ground (all returns count as one common node)
+    collectReturnPaths(region) {
+        const queue = region.filter(component => component.type === 'battery' || component.type === 'ground');
+        const returning = new Set(queue);
+        
+        // Walk against the flow of current, from each return back towards the sources
+        for (let i = 0; i < queue.length; i++) {
+            for (const connection of this.grid.getConnections(queue[i])) {
+                const upstream = connection.component;
+                
+                // Current has to leave upstream through its pin and enter through ours
+                if (connection.pin.direction === 'out' || connection.otherPin.direction === 'in' ||
+                    returning.has(upstream) || !this.canConduct(upstream)) {
+                    continue;
+                }
+                
+                returning.add(upstream);
+                if (this.shouldPropagate(upstream)) {
+                    queue.push(upstream);
                 }
             }
         }
         
-        // Special handling for Timer component - propagate power from output terminal
-        if (source instanceof Timer && source.outputPowered) {
-            // For timer, check the output position (to the right of the timer)
-            const outputX = source.gridX + 1;
-            const outputY = source.gridY;
+        return returning;
+    }
+    
+    // Walk every component power from a source would reach, using a worklist
+    // (no recursion, so long wire runs can't overflow the stack). visit is
+    // called with each one and the component it was reached from.
+    floodFrom(source, visited, visit) {
+        const queue = [source];
+        
+        for (let i = 0; i < queue.length; i++) {
+            const current = queue[i];
+            if (visited.has(current.id)) continue;
+            visited.add(current.id);
             
-            const outputComponent = this.grid.getComponent(outputX, outputY);
-            if (outputComponent && !visited.has(outputComponent.id) && this.canConduct(outputComponent)) {
-                outputComponent.powered = true;
-                if (this.shouldPropagate(outputComponent)) {
-                    this.propagatePower(outputComponent, visited);
+            for (const component of this.getPowerTargets(current)) {
+                // Skip if already visited or can't conduct
+                if (visited.has(component.id) || !this.canConduct(component)) {
+                    continue;
+                }
+                
+                visit(component, current);
+                
+                // Continue propagation through wires and conductors
+                if (this.shouldPropagate(component)) {
+                    queue.push(component);
                 }
             }
         }
     }
     
+    // Components a powered component passes power on to: whatever touches one
+    // of its pins that can drive current out (gates only drive their output)
+    getPowerTargets(source) {
+        return this.grid.getConnections(source)
+            .filter(connection => connection.pin.direction !== 'in' && connection.otherPin.direction !== 'out')
+            .map(connection => connection.component);
+    }
+    
     // Check if component can conduct electricity
     canConduct(component) {
         switch (component.type) {
@@ -162,7 +1000,7 @@ class CircuitSimulator {
             case 'resistor':
                 return true;
             case 'led':
-                return true;
+                return !component.burnedOut; // A burnt-out LED is an open circuit
             case 'switch':
                 return component.closed;
             case 'push-button':
@@ -171,12 +1009,10 @@ class CircuitSimulator {
                 return true;
             case 'timer':
                 return true;
-            case 'and-gate':
-            case 'or-gate':
-            case 'not-gate':
-                return true;
             case 'battery':
                 return true;
+            case 'ground':
+                return true;
             default:
                 return false;
         }
@@ -195,43 +1031,14 @@ class CircuitSimulator {
                 return true; // Simplified - resistors conduct in this model
             case 'timer':
                 return component.outputPowered; // Only propagate if timer output is high
-            case 'and-gate':
-            case 'or-gate':
-            case 'not-gate':
-                return component.output; // Only propagate if gate output is high
+            case 'led':
+            case 'buzzer':
+                return this.realistic; // Loads pass current on when it has to complete a loop
             default:
                 return false;
         }
     }
     
-    // Update logic gate inputs and outputs
-    updateLogicGates() {
-        const gates = this.components.filter(c => c instanceof LogicGate);
-        
-        gates.forEach(gate => {
-            gate.inputs = [];
-            
-            // For 3x1 gates, check inputs at first and third grid positions (skipping middle)
-            const inputPositions = [
-                { x: gate.gridX - 1, y: gate.gridY },     // Top input (left of first cell)
-                { x: gate.gridX - 1, y: gate.gridY + 2 }  // Bottom input (left of third cell, skipping middle)
-            ];
-            
-            inputPositions.forEach(pos => {
-                const component = this.grid.getComponent(pos.x, pos.y);
-                if (component && component !== gate) {
-                    gate.inputs.push(component.powered);
-                }
-            });
-            
-            // Limit to 2 inputs maximum for proper gate behavior
-            gate.inputs = gate.inputs.slice(0, 2);
-            
-            // Calculate gate output
-            gate.update();
-        });
-    }
-    
     // Create a simple circuit (for testing)
     createSimpleCircuit() {
         // Create a simple LED circuit: Battery -> Wire -> LED -> Wire -> Battery
@@ -257,7 +1064,7 @@ class CircuitSimulator {
     
     // Create a blinking LED circuit
     createBlinkingLED() {
-        this.grid.clear();
+        this.clear();
         
         // Simple blinking LED with switch
         const battery = ComponentFactory.create('battery', 0, 0);
@@ -272,24 +1079,22 @@ class CircuitSimulator {
         this.grid.placeComponent(wire1, 3, 0);
         
         // Add to simulation
-        this.components = [];
-        this.powerSources = [];
         this.addComponent(battery);
         this.addComponent(switchComp);
         this.addComponent(led);
         this.addComponent(wire1);
         
         // Auto-toggle switch to create blinking effect
-        setInterval(() => {
+        this.every(1000, () => {
             switchComp.toggle();
-        }, 1000);
+        });
         
         return [battery, switchComp, led, wire1];
     }
     
     // Create a basic AND gate circuit
     createBasicANDGate() {
-        this.grid.clear();
+        this.clear();
         
         // Create AND gate circuit with proper spacing for 3x1 gate
         const battery1 = ComponentFactory.create('battery', 0, 0);
@@ -312,8 +1117,6 @@ class CircuitSimulator {
         this.grid.placeComponent(led, 4, 1);      // Center LED at middle row
         
         // Add to simulation
-        this.components = [];
-        this.powerSources = [];
         [battery1, battery2, switch1, switch2, wire1, wire2, andGate, led].forEach(comp => {
             this.addComponent(comp);
         });
@@ -323,137 +1126,147 @@ class CircuitSimulator {
     
     // Create XOR gate demonstration circuit
     createXORDemo() {
-        this.grid.clear();
+        this.clear();
         
-        // Create XOR gate demonstration with two inputs and output LED
-        const battery1 = ComponentFactory.create('battery', 0, 0);
-        const battery2 = ComponentFactory.create('battery', 0, 40);
-        const switch1 = ComponentFactory.create('switch', 20, 0);
-        const switch2 = ComponentFactory.create('switch', 20, 40);
-        const wire1 = ComponentFactory.create('wire', 40, 0);
-        const wire2 = ComponentFactory.create('wire', 40, 40);
-        const xorGate = ComponentFactory.create('xor-gate', 60, 20);
-        const led = ComponentFactory.create('led', 80, 20);
+        // XOR gate with two switched inputs, each pulled low while its switch
+        // is open, driving an output LED
+        const place = (type, x, y) => this.addComponentAt(type, x, y);
         
-        // Place components
-        this.grid.placeComponent(battery1, 0, 0);
-        this.grid.placeComponent(battery2, 0, 2);
-        this.grid.placeComponent(switch1, 1, 0);
-        this.grid.placeComponent(switch2, 1, 2);
-        this.grid.placeComponent(wire1, 2, 0);
-        this.grid.placeComponent(wire2, 2, 2);
-        this.grid.placeComponent(xorGate, 3, 1);
-        this.grid.placeComponent(led, 4, 1);
+        // Input A into the gate's top pin
+        const battery1 = place('battery', 0, 2);
+        const switch1 = place('switch', 1, 2);
+        const [wire1] = this.addWirePath([[2, 2]]);
+        this.addPullDown(2, 2, 0, -1);
         
-        // Add to simulation
-        this.components = [];
-        this.powerSources = [];
-        [battery1, battery2, switch1, switch2, wire1, wire2, xorGate, led].forEach(comp => {
-            this.addComponent(comp);
-        });
+        // Input B into the gate's bottom pin
+        const battery2 = place('battery', 0, 4);
+        const switch2 = place('switch', 1, 4);
+        const [wire2] = this.addWirePath([[2, 4]]);
+        this.addPullDown(2, 4, 0, 1);
+        
+        // 3x1 gate spans rows 2-4, its output at the middle row
+        const xorGate = place('xor-gate', 3, 2);
+        const led = place('led', 4, 3);
         
         return [battery1, battery2, switch1, switch2, wire1, wire2, xorGate, led];
     }
     
     // Create a full adder circuit
     createFullAdder() {
-        this.grid.clear();
+        this.clear();
         
         // Full adder: A, B, Cin inputs -> Sum, Cout outputs
-        // Using XOR, AND, OR gates
-        const batteryA = ComponentFactory.create('battery', 0, 0);
-        const batteryB = ComponentFactory.create('battery', 0, 20);
-        const batteryCin = ComponentFactory.create('battery', 0, 40);
+        // Using XOR, AND, OR gates. Each pair of gates sharing two inputs is
+        // stacked with the inputs in opposite order, so one signal can loop
+        // around the other's switch without the wires touching.
+        const place = (type, x, y) => this.addComponentAt(type, x, y);
         
-        const switchA = ComponentFactory.create('switch', 20, 0);
-        const switchB = ComponentFactory.create('switch', 20, 20);
-        const switchCin = ComponentFactory.create('switch', 20, 40);
+        // Input A (outside the loop it forms)
+        const batteryA = place('battery', 0, 0);
+        const switchA = place('switch', 1, 0);
+        this.addWirePath([[2, 0], [3, 0], [4, 0], [5, 0]]);
+        this.addWirePath([[2, 1], [1, 1], [1, 2], [1, 3], [1, 4], [1, 5], [1, 6], [2, 6], [3, 6], [4, 6], [5, 6]]);
+        this.addPullDown(1, 6, 0, 1);
         
-        // First XOR for A ⊕ B
-        const xor1 = ComponentFactory.create('xor-gate', 60, 10);
-        // Second XOR for (A ⊕ B) ⊕ Cin = Sum
-        const xor2 = ComponentFactory.create('xor-gate', 100, 20);
+        // Input B (inside A's loop)
+        const batteryB = place('battery', 3, 3);
+        const switchB = place('switch', 4, 3);
+        this.addWirePath([[5, 2], [5, 3], [5, 4]]);
+        this.addPullDown(5, 2, -1, 0);
         
-        // AND gates for carry logic
-        const and1 = ComponentFactory.create('and-gate', 60, 30);  // A & B
-        const and2 = ComponentFactory.create('and-gate', 100, 40); // (A ⊕ B) & Cin
+        // First XOR for A ⊕ B, first AND for A & B
+        const xor1 = place('xor-gate', 6, 0);
+        const and1 = place('and-gate', 6, 4);
         
-        // OR gate for final carry
-        const or1 = ComponentFactory.create('or-gate', 140, 35);
+        // A ⊕ B loops around the carry-in switch
+        this.addWirePath([[7, 1], [8, 1], [9, 1], [9, 0], [10, 0], [11, 0], [12, 0], [13, 0]]);
+        this.addWirePath([[9, 2], [9, 3], [9, 4], [9, 5], [9, 6], [10, 6], [11, 6], [12, 6], [13, 6]]);
         
-        // Output LEDs
-        const sumLED = ComponentFactory.create('led', 140, 20);    // Sum output
-        const carryLED = ComponentFactory.create('led', 180, 35);  // Carry output
+        // Carry in (inside the A ⊕ B loop)
+        const batteryCin = place('battery', 11, 3);
+        const switchCin = place('switch', 12, 3);
+        this.addWirePath([[13, 2], [13, 3], [13, 4]]);
+        this.addPullDown(13, 2, -1, 0);
         
-        // Place components
-        this.grid.placeComponent(batteryA, 0, 0);
-        this.grid.placeComponent(batteryB, 0, 1);
-        this.grid.placeComponent(batteryCin, 0, 2);
-        this.grid.placeComponent(switchA, 1, 0);
-        this.grid.placeComponent(switchB, 1, 1);
-        this.grid.placeComponent(switchCin, 1, 2);
-        this.grid.placeComponent(xor1, 3, 0);
-        this.grid.placeComponent(xor2, 5, 1);
-        this.grid.placeComponent(and1, 3, 1);
-        this.grid.placeComponent(and2, 5, 2);
-        this.grid.placeComponent(or1, 7, 1);
-        this.grid.placeComponent(sumLED, 7, 1);
-        this.grid.placeComponent(carryLED, 9, 1);
+        // Second XOR for (A ⊕ B) ⊕ Cin = Sum, second AND for (A ⊕ B) & Cin
+        const xor2 = place('xor-gate', 14, 0);
+        const and2 = place('and-gate', 14, 4);
         
-        // Add to simulation
-        this.components = [];
-        this.powerSources = [];
-        [batteryA, batteryB, batteryCin, switchA, switchB, switchCin, 
-         xor1, xor2, and1, and2, or1, sumLED, carryLED].forEach(comp => {
-            this.addComponent(comp);
-        });
+        // OR gate for final carry, fed by both AND gates
+        this.addWirePath([[15, 5], [16, 5], [16, 4], [17, 4]]);
+        this.addWirePath([[7, 5], [7, 6], [7, 7], [7, 8], [8, 8], [9, 8], [10, 8], [11, 8], [12, 8],
+            [13, 8], [14, 8], [15, 8], [16, 8], [17, 8], [17, 7], [17, 6]]);
+        const or1 = place('or-gate', 18, 4);
+        
+        // Output LEDs
+        const sumLED = place('led', 15, 1);    // Sum output
+        const carryLED = place('led', 19, 5);  // Carry output
         
         return [batteryA, batteryB, batteryCin, switchA, switchB, switchCin, 
                 xor1, xor2, and1, and2, or1, sumLED, carryLED];
     }
     
+    // Create a component of the given type at a grid cell and add it to the simulation
+    addComponentAt(type, x, y) {
+        const component = ComponentFactory.create(type, x * this.grid.gridSize, y * this.grid.gridSize);
+        this.grid.placeComponent(component, x, y);
+        this.addComponent(component);
+        return component;
+    }
+    
+    // Place a run of wires at the given [x, y] grid cells
+    addWirePath(cells) {
+        return cells.map(([x, y]) => this.addComponentAt('wire', x, y));
+    }
+    
+    // Pull a switched input low while its switch is open, so it doesn't float:
+    // a resistor then a ground leading away from (x, y) in direction (dx, dy)
+    addPullDown(x, y, dx, dy) {
+        const resistor = this.addComponentAt('resistor', x + dx, y + dy);
+        const ground = this.addComponentAt('ground', x + 2 * dx, y + 2 * dy);
+        
+        // Resistor along the direction, ground's pin facing back at it
+        this.rotateComponent(resistor, dx !== 0 ? 0 : 90);
+        this.rotateComponent(ground, dx > 0 ? 270 : dx < 0 ? 90 : dy > 0 ? 0 : 180);
+        return [resistor, ground];
+    }
+    
     // Create SR flip-flop circuit
     createSRFlipFlop() {
-        this.grid.clear();
+        this.clear();
         
-        // SR flip-flop using NOR gates
-        const batteryS = ComponentFactory.create('battery', 0, 0);
-        const batteryR = ComponentFactory.create('battery', 0, 40);
-        
-        const switchS = ComponentFactory.create('switch', 20, 0);   // Set input
-        const switchR = ComponentFactory.create('switch', 20, 40);  // Reset input
+        // SR latch using cross-coupled NOR gates: Q = NOR(R, Q'), Q' = NOR(S, Q)
+        const place = (type, x, y) => this.addComponentAt(type, x, y);
         
         // NOR gates (cross-coupled)
-        const nor1 = ComponentFactory.create('nor-gate', 60, 10);   // Q output
-        const nor2 = ComponentFactory.create('nor-gate', 60, 30);   // Q' output
+        const nor1 = place('nor-gate', 6, 2);   // Q output
+        const nor2 = place('nor-gate', 10, 2);  // Q' output
         
-        // Output LEDs
-        const qLED = ComponentFactory.create('led', 100, 10);       // Q output
-        const qNotLED = ComponentFactory.create('led', 100, 30);    // Q' output
+        // Reset and set inputs, pulled low while their switches are open
+        const batteryR = place('battery', 3, 2);
+        const switchR = place('switch', 4, 2);
+        this.addWirePath([[5, 2]]);
+        this.addPullDown(5, 2, 0, -1);
+        const batteryS = place('battery', 7, 4);
+        const switchS = place('switch', 8, 4);
+        this.addWirePath([[9, 4]]);
+        this.addPullDown(9, 4, 0, 1);
         
-        // Place components
-        this.grid.placeComponent(batteryS, 0, 0);
-        this.grid.placeComponent(batteryR, 0, 2);
-        this.grid.placeComponent(switchS, 1, 0);
-        this.grid.placeComponent(switchR, 1, 2);
-        this.grid.placeComponent(nor1, 3, 0);
-        this.grid.placeComponent(nor2, 3, 1);
-        this.grid.placeComponent(qLED, 5, 0);
-        this.grid.placeComponent(qNotLED, 5, 1);
+        // Q into the second gate, Q' back around the bottom into the first
+        this.addWirePath([[7, 3], [8, 3], [8, 2], [9, 2]]);
+        this.addWirePath([[11, 3], [11, 4], [11, 5], [11, 6], [11, 7], [10, 7], [9, 7], [8, 7],
+            [7, 7], [6, 7], [5, 7], [5, 6], [5, 5], [5, 4]]);
         
-        // Add to simulation
-        this.components = [];
-        this.powerSources = [];
-        [batteryS, batteryR, switchS, switchR, nor1, nor2, qLED, qNotLED].forEach(comp => {
-            this.addComponent(comp);
-        });
+        // Output LEDs
+        const qLED = place('led', 9, 3);        // Q output
+        const qNotLED = place('led', 12, 3);    // Q' output
         
         return [batteryS, batteryR, switchS, switchR, nor1, nor2, qLED, qNotLED];
     }
     
     // Create a 4-bit counter circuit
     createCounter() {
-        this.grid.clear();
+        this.clear();
         
         // Simple 4-bit counter using flip-flops (simplified representation)
         const clock = ComponentFactory.create('battery', 0, 20);
@@ -492,23 +1305,21 @@ class CircuitSimulator {
         this.grid.placeComponent(and3, 5, 2);
         
         // Add to simulation
-        this.components = [];
-        this.powerSources = [];
         [clock, clockSwitch, ff1, ff2, ff3, ff4, led1, led2, led3, led4, and1, and2, and3].forEach(comp => {
             this.addComponent(comp);
         });
         
         // Auto-increment counter for demonstration
         let count = 0;
-        setInterval(() => {
+        this.every(2000, () => {
             count = (count + 1) % 16; // 4-bit counter (0-15)
             
             // Update switch states to represent binary count
-            ff1.closed = (count & 1) === 1;
-            ff2.closed = (count & 2) === 2;
-            ff3.closed = (count & 4) === 4;
-            ff4.closed = (count & 8) === 8;
-        }, 2000);
+            ff1.setClosed((count & 1) === 1);
+            ff2.setClosed((count & 2) === 2);
+            ff3.setClosed((count & 4) === 4);
+            ff4.setClosed((count & 8) === 8);
+        });
         
         return [clock, clockSwitch, ff1, ff2, ff3, ff4, led1, led2, led3, led4, and1, and2, and3];
     }
@@ -534,11 +1345,26 @@ class CircuitSimulator {
     
     // Import circuit data
     importCircuit(data) {
+        const wasRunning = this.running;
         this.stop();
         this.components = [];
         this.powerSources = [];
-        this.grid.import(data);
-        this.start();
+        this.timedComponents = [];
+        this.dirty.clear();
+        this.changed.clear();
+        this.unsettledTicks.clear();
+        this.readings.clear();
+        this.shortCircuits.clear();
+        this.batteryLoads.clear();
+        this.pendingSignals = [];
+        this.scheduledTasks = [];
+        this.analyzer.clear(this.clock.tick);
+        this.watches.reset();
+        this.breakpointHits = [];
+        this.grid.import(data, componentData => this.createComponentFromData(componentData));
+        if (wasRunning) {
+            this.start();
+        }
     }
     
     // Validate circuit for common issues
@@ -547,8 +1373,7 @@ class CircuitSimulator {
         
         // Check for isolated components
         const isolatedComponents = this.components.filter(component => {
-            const neighbors = this.grid.getNeighbors(component.gridX, component.gridY);
-            return neighbors.length === 0 && component.type !== 'battery';
+            return this.grid.getConnections(component).length === 0 && component.type !== 'battery';
         });
         
         if (isolatedComponents.length > 0) {
@@ -560,16 +1385,15 @@ class CircuitSimulator {
             issues.push('No power sources found');
         }
         
-        // Check for short circuits (simplified)
-        const batteries = this.components.filter(c => c.type === 'battery');
-        batteries.forEach(battery => {
-            const directNeighbors = this.grid.getNeighbors(battery.gridX, battery.gridY);
-            const directBatteryConnections = directNeighbors.filter(n => n.component.type === 'battery');
-            if (directBatteryConnections.length > 0) {
-                issues.push('Potential short circuit: batteries directly connected');
-            }
-        });
+        // Check for short circuits across the batteries' nets
+        const nodes = this.dcSolver.buildNodes(this.components, this.getNetlist());
+        this.dcSolver.findShorts(this.components, nodes).forEach(short => issues.push(short.message));
         
         return issues;
     }
-}
\ No newline at end of file
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationClock, CircuitSimulator };
+}
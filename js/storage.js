@@ -250,6 +250,22 @@ class StorageManager {
         }
     }
     
+    // Get the stored settings (defaults filled in) without applying them
+    getSettings() {
+        try {
+            const stored = localStorage.getItem(this.settingsKey);
+            return { ...this.getDefaultSettings(), ...(stored ? JSON.parse(stored) : {}) };
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            return this.getDefaultSettings();
+        }
+    }
+    
+    // Change some settings, keeping the rest
+    updateSettings(changes) {
+        this.saveSettings({ ...this.getSettings(), ...changes });
+    }
+    
     // Get default settings
     getDefaultSettings() {
         return {
@@ -259,7 +275,11 @@ class StorageManager {
             theme: 'dark',
             showGrid: true,
             animationSpeed: 1,
-            volume: 0.5
+            volume: 0.5,
+            realisticMode: false,
+            simulationMode: 'logic',
+            gateDelays: {},
+            simulationWorker: true
         };
     }
     
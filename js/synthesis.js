@@ -0,0 +1,375 @@
+// Circuit Synthesis for CircuPlay - turns Boolean expressions or truth tables
+// into circuits of switches, gates and LEDs
+//
+// Expressions are trees of { op: 'var', name }, { op: 'const', value },
+// { op: 'not', args: [x] } and { op: 'and' | 'or' | 'xor', args: [a, b] }.
+
+const SYNTHESIS_ORIGIN = 1; // Free cells left above and to the left of a synthesized circuit
+
+// Parses "Y = (A & B) | !C"-style expressions, one output per line or ';'.
+// Operators, loosest first: | or +, ^, & or * (or just A B), ! or ~ or a
+// trailing '. Constants 0 and 1 are allowed. After a failed parse(), error
+// says what went wrong.
+class ExpressionParser {
+    constructor(text) {
+        this.text = text;
+        this.error = null;
+    }
+
+    // Returns [{ name, expression }], or null if the text can't be read
+    parse() {
+        this.error = null;
+        const statements = this.text.split(/[;\n]/).map(line => line.trim()).filter(Boolean);
+        if (statements.length === 0) {
+            this.error = 'Type an expression such as (A & B) | !C';
+            return null;
+        }
+
+        const outputs = [];
+        for (const [index, statement] of statements.entries()) {
+            const match = statement.match(/^([A-Za-z_]\w*)\s*=(.*)$/);
+            const name = match ? match[1] : (statements.length > 1 ? `Y${index + 1}` : 'Y');
+            const expression = this.parseExpression(match ? match[2] : statement);
+            if (!expression) return null;
+
+            if (outputs.some(output => output.name === name)) {
+                this.error = `Output ${name} is defined twice`;
+                return null;
+            }
+            outputs.push({ name, expression });
+        }
+
+        // An output can't also be one of the inputs
+        const inputs = new Set(outputs.flatMap(output => ExpressionParser.variables(output.expression)));
+        const clash = outputs.find(output => inputs.has(output.name));
+        if (clash) {
+            this.error = `${clash.name} is used as both an input and an output`;
+            return null;
+        }
+
+        return outputs;
+    }
+
+    // Recursive descent over one expression
+    parseExpression(source) {
+        this.tokens = source.match(/[A-Za-z_]\w*|[01]|[()!~'&*|+^]|\S/g) || [];
+        this.position = 0;
+
+        if (this.tokens.length === 0) {
+            this.error = 'Missing expression';
+            return null;
+        }
+
+        const expression = this.parseOr();
+        if (expression && this.position < this.tokens.length) {
+            this.error = `Unexpected "${this.tokens[this.position]}"`;
+            return null;
+        }
+        return expression;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    parseOr() {
+        const terms = [this.parseXor()];
+        while (terms[terms.length - 1] && ['|', '+'].includes(this.peek())) {
+            this.position++;
+            terms.push(this.parseXor());
+        }
+        return terms.every(Boolean) ? ExpressionParser.combine('or', terms) : null;
+    }
+
+    parseXor() {
+        const terms = [this.parseAnd()];
+        while (terms[terms.length - 1] && this.peek() === '^') {
+            this.position++;
+            terms.push(this.parseAnd());
+        }
+        return terms.every(Boolean) ? ExpressionParser.combine('xor', terms) : null;
+    }
+
+    // AND is also implied between neighbouring factors, as in "A B" or "A(B + C)"
+    parseAnd() {
+        const factors = [this.parseNot()];
+        while (factors[factors.length - 1]) {
+            const token = this.peek();
+            if (token === '&' || token === '*') {
+                this.position++;
+            } else if (token === undefined || !/^([A-Za-z_]\w*|[01(!~])$/.test(token)) {
+                break;
+            }
+            factors.push(this.parseNot());
+        }
+        return factors.every(Boolean) ? ExpressionParser.combine('and', factors) : null;
+    }
+
+    parseNot() {
+        if (this.peek() === '!' || this.peek() === '~') {
+            this.position++;
+            const operand = this.parseNot();
+            return operand ? { op: 'not', args: [operand] } : null;
+        }
+
+        let operand = this.parseAtom();
+        while (operand && this.peek() === "'") {
+            this.position++;
+            operand = { op: 'not', args: [operand] };
+        }
+        return operand;
+    }
+
+    parseAtom() {
+        const token = this.peek();
+        if (token === undefined) {
+            this.error = 'Expression ends too early';
+            return null;
+        }
+
+        this.position++;
+        if (token === '(') {
+            const inner = this.parseOr();
+            if (!inner) return null;
+            if (this.peek() !== ')') {
+                this.error = 'Missing )';
+                return null;
+            }
+            this.position++;
+            return inner;
+        }
+        if (token === '0' || token === '1') {
+            return { op: 'const', value: Number(token) };
+        }
+        if (/^[A-Za-z_]\w*$/.test(token)) {
+            return { op: 'var', name: token };
+        }
+
+        this.error = `Unexpected "${token}"`;
+        return null;
+    }
+
+    // Join terms with a two-input operator as a balanced tree, so long
+    // chains stay shallow (and the circuit narrow)
+    static combine(op, terms) {
+        if (terms.length === 1) return terms[0];
+
+        const middle = Math.ceil(terms.length / 2);
+        return {
+            op,
+            args: [ExpressionParser.combine(op, terms.slice(0, middle)), ExpressionParser.combine(op, terms.slice(middle))]
+        };
+    }
+
+    // Variable names in an expression, sorted
+    static variables(expression) {
+        const names = new Set();
+        const visit = node => {
+            if (node.op === 'var') {
+                names.add(node.name);
+            } else if (node.args) {
+                node.args.forEach(visit);
+            }
+        };
+        visit(expression);
+        return [...names].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+
+    // Value (0 or 1) of an expression for { name: 0/1 } variable values
+    static evaluate(expression, values) {
+        const [a, b] = (expression.args || []).map(arg => ExpressionParser.evaluate(arg, values));
+        switch (expression.op) {
+            case 'var': return values[expression.name] ? 1 : 0;
+            case 'const': return expression.value;
+            case 'not': return 1 - a;
+            case 'and': return a & b;
+            case 'or': return a | b;
+            case 'xor': return a ^ b;
+        }
+        return 0;
+    }
+
+    // Write an expression back out with as few brackets as it needs
+    static format(expression, parentPrecedence = 0) {
+        const precedence = { or: 1, xor: 2, and: 3 };
+        const symbols = { or: ' | ', xor: ' ^ ', and: ' & ' };
+
+        switch (expression.op) {
+            case 'var': return expression.name;
+            case 'const': return String(expression.value);
+            case 'not': {
+                const operand = expression.args[0];
+                const inner = ExpressionParser.format(operand, 4);
+                return `!${inner}`;
+            }
+        }
+
+        const own = precedence[expression.op];
+        const text = expression.args.map(arg => ExpressionParser.format(arg, own)).join(symbols[expression.op]);
+        return own < parentPrecedence ? `(${text})` : text;
+    }
+}
+
+// Lays expressions out as circuit data (the format the simulator exports).
+//
+// Each input use gets its own battery, switch (labelled with the variable)
+// and pull-down, so the signal wires never have to cross; switches sharing a
+// label are one input to truth tables and follow each other when clicked.
+// Every gate's inputs come straight from the blocks to its left: the first
+// along its own row, the second up a column just before the gate.
+class CircuitSynthesizer {
+    // Circuit data for [{ name, expression }] outputs, each ending in an LED
+    // labelled with its name (then a resistor and ground, so it works in
+    // realistic and DC modes too)
+    static synthesize(outputs, gridSize = 20) {
+        const blocks = outputs.map(output => CircuitSynthesizer.layout(output.expression));
+        const ledColumn = Math.max(...blocks.map(block => block.width)) + 1;
+
+        const components = [];
+        let top = SYNTHESIS_ORIGIN;
+        outputs.forEach((output, i) => {
+            const block = blocks[i];
+            const place = (part) => components.push({
+                type: part.type,
+                x: SYNTHESIS_ORIGIN + part.x,
+                y: top + part.y,
+                properties: { rotation: part.rotation || 0, label: part.label || '' }
+            });
+
+            block.parts.forEach(place);
+
+            // Wire on to the output LED, lined up with the other outputs'
+            for (let x = block.width; x < ledColumn; x++) {
+                place({ type: 'wire', x, y: block.outY });
+            }
+            place({ type: 'led', x: ledColumn, y: block.outY, label: output.name });
+            place({ type: 'resistor', x: ledColumn + 1, y: block.outY });
+            place({ type: 'ground', x: ledColumn + 2, y: block.outY, rotation: 270 });
+
+            top += block.height + 1;
+        });
+
+        return { gridSize, components };
+    }
+
+    // Canonical sum of products for each output of a truth table (rows where
+    // the output is 1; 'X' rows count as 0)
+    static fromTruthTable(table) {
+        return table.outputs.map((name, column) => {
+            const minterms = table.rows.filter(row => row.outputs[column] === 1);
+            if (minterms.length === 0) return { name, expression: { op: 'const', value: 0 } };
+            if (minterms.length === table.rows.length) return { name, expression: { op: 'const', value: 1 } };
+
+            const products = minterms.map(row => ExpressionParser.combine('and', row.inputs.map((bit, i) => {
+                const variable = { op: 'var', name: table.inputs[i] };
+                return bit ? variable : { op: 'not', args: [variable] };
+            })));
+            return { name, expression: ExpressionParser.combine('or', products) };
+        });
+    }
+
+    // Logic gates in circuit data
+    static countGates(data) {
+        return data.components.filter(component => component.type.endsWith('-gate')).length;
+    }
+
+    // Cells a circuit needs, including the margin it's placed with
+    static getSize(data) {
+        return {
+            cols: Math.max(0, ...data.components.map(c => c.x)) + 1,
+            rows: Math.max(0, ...data.components.map(c => c.y)) + 1
+        };
+    }
+
+    // Lay out one expression as a block of parts relative to its top-left
+    // corner. The block's signal leaves to the right of (width - 1, outY).
+    static layout(node) {
+        switch (node.op) {
+            case 'var':
+                // Battery, switch, then a wire pulled down through a resistor below it
+                return {
+                    width: 3, height: 3, outY: 0,
+                    parts: [
+                        { type: 'battery', x: 0, y: 0 },
+                        { type: 'switch', x: 1, y: 0, label: node.name },
+                        { type: 'wire', x: 2, y: 0 },
+                        { type: 'resistor', x: 2, y: 1, rotation: 90 },
+                        { type: 'ground', x: 2, y: 2 }
+                    ]
+                };
+
+            case 'const':
+                // A battery for 1, a ground facing right for 0
+                return {
+                    width: 1, height: 1, outY: 0,
+                    parts: [node.value ? { type: 'battery', x: 0, y: 0 } : { type: 'ground', x: 0, y: 0, rotation: 90 }]
+                };
+
+            case 'not': {
+                const [operand] = node.args;
+
+                // NAND and NOR are single gates
+                if (operand.op === 'and' || operand.op === 'or') {
+                    return CircuitSynthesizer.layoutGate(operand.op === 'and' ? 'nand-gate' : 'nor-gate', operand.args);
+                }
+
+                const child = CircuitSynthesizer.layout(operand);
+                const gateX = child.width + 1;
+                return {
+                    width: gateX + 1,
+                    height: Math.max(child.height, child.outY + 3),
+                    outY: child.outY + 1,
+                    parts: [
+                        ...child.parts,
+                        { type: 'wire', x: child.width, y: child.outY },
+                        { type: 'not-gate', x: gateX, y: child.outY }
+                    ]
+                };
+            }
+        }
+
+        return CircuitSynthesizer.layoutGate(`${node.op}-gate`, node.args);
+    }
+
+    // A two-input gate with its first operand's block above the second's
+    static layoutGate(type, [first, second]) {
+        const upper = CircuitSynthesizer.layout(first);
+        const lower = CircuitSynthesizer.layout(second);
+        const lowerTop = upper.height + 1;
+        const gateX = Math.max(upper.width, lower.width) + 2;
+        const gateY = upper.outY;
+        const lowerOutY = lowerTop + lower.outY;
+
+        const parts = [
+            ...upper.parts,
+            ...lower.parts.map(part => ({ ...part, y: part.y + lowerTop }))
+        ];
+
+        // Upper operand straight along its row into input a
+        for (let x = upper.width; x < gateX; x++) {
+            parts.push({ type: 'wire', x, y: gateY });
+        }
+
+        // Lower operand along its row, then up the column before the gate into input b
+        for (let x = lower.width; x < gateX; x++) {
+            parts.push({ type: 'wire', x, y: lowerOutY });
+        }
+        for (let y = gateY + 2; y < lowerOutY; y++) {
+            parts.push({ type: 'wire', x: gateX - 1, y });
+        }
+
+        parts.push({ type, x: gateX, y: gateY });
+
+        return {
+            width: gateX + 1,
+            height: lowerTop + lower.height,
+            outY: gateY + 1,
+            parts
+        };
+    }
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExpressionParser, CircuitSynthesizer };
+}
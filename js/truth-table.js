@@ -0,0 +1,203 @@
+// Truth Tables for CircuPlay - drives every input combination through a copy
+// of a circuit and records its outputs
+//
+// Switches and push buttons are the inputs, LEDs and buzzers the outputs. Each
+// is named by its label, or by its type and position when it has none. Inputs
+// sharing a label are one input, driven together (as synthesized circuits
+// give every use of a variable its own switch).
+
+const TRUTH_TABLE_INPUT_TYPES = ['switch', 'push-button'];
+const TRUTH_TABLE_OUTPUT_TYPES = ['led', 'buzzer'];
+const MAX_TRUTH_TABLE_INPUTS = 12; // 4096 rows
+const TRUTH_TABLE_MARGIN = 4;      // Free cells kept around a copied circuit so multi-cell parts fit
+const TRUTH_TABLE_SLICE_MS = 30;   // Time generateInSlices spends on rows before letting the page draw
+
+class TruthTable {
+    constructor(inputs, outputs, rows) {
+        this.inputs = inputs;   // Input names, most significant first
+        this.outputs = outputs; // Output names
+        this.rows = rows;       // { inputs: [0/1], outputs: [0/1, or 'X' if it never settled] }
+    }
+
+    // Run a circuit's data on its own canvas-free simulator, so the circuit
+    // being edited is left alone. Options copy the simulator's settings:
+    // { realistic, mode, gateDelays }.
+    static createSimulator(data, options = {}) {
+        const components = data.components || [];
+        const cols = Math.max(0, ...components.map(c => c.x)) + TRUTH_TABLE_MARGIN;
+        const rows = Math.max(0, ...components.map(c => c.y)) + TRUTH_TABLE_MARGIN;
+
+        const simulator = new CircuitSimulator(new GridModel(cols, rows, data.gridSize || 20));
+        simulator.setRealistic(options.realistic === true);
+        simulator.setMode(options.mode || 'logic');
+        Object.entries(options.gateDelays || {}).forEach(([type, ticks]) => simulator.setGateDelay(type, ticks));
+        simulator.importCircuit(data);
+
+        // Every battery is ideal here, so one running flat can't change the table
+        simulator.components.forEach(component => {
+            if (component.type === 'battery') component.setCapacity(null);
+        });
+        return simulator;
+    }
+
+    // Name a component for a table column
+    static nameOf(component) {
+        return component.label || `${component.type} (${component.gridX}, ${component.gridY})`;
+    }
+
+    // Inputs ({ name, components }) and outputs ({ name, component }) of a set
+    // of components, labelled ones first in label order. Returns null if an
+    // output shares its name with anything else.
+    static findTerminals(components) {
+        const collect = types => {
+            const found = components.filter(component => types.includes(component.type));
+            const labelled = found.filter(component => component.label)
+                .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+            return [...labelled, ...found.filter(component => !component.label)]
+                .map(component => ({ name: TruthTable.nameOf(component), component }));
+        };
+
+        const inputs = [];
+        collect(TRUTH_TABLE_INPUT_TYPES).forEach(({ name, component }) => {
+            const input = inputs.find(existing => existing.name === name);
+            if (input) {
+                input.components.push(component);
+            } else {
+                inputs.push({ name, components: [component] });
+            }
+        });
+        const outputs = collect(TRUTH_TABLE_OUTPUT_TYPES);
+
+        const names = [...inputs, ...outputs].map(terminal => terminal.name);
+        const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+        if (duplicate) {
+            console.warn(`Truth table: "${duplicate}" names more than one output, or an input and an output`);
+            return null;
+        }
+
+        return { inputs, outputs };
+    }
+
+    // Close or open an input and hold it there
+    static setInput(component, on) {
+        if (component.type === 'push-button') {
+            component.releaseTime = null;
+            if (on) {
+                component.press();
+            } else {
+                component.release();
+            }
+        } else {
+            component.setClosed(on);
+        }
+    }
+
+    // Build the table for circuit data (as exported by the simulator). Returns
+    // null, with a warning, when there is nothing to tabulate or too much.
+    static generate(data, options = {}) {
+        const job = TruthTable.prepare(data, options);
+        if (!job) return null;
+
+        while (job.rows.length < job.total) {
+            TruthTable.addRow(job);
+        }
+        return TruthTable.finish(job);
+    }
+
+    // The same as generate, but a slice of rows at a time with the page free
+    // to draw in between, so a large table doesn't freeze it. Resolves to the
+    // table or null; onProgress(done, total) is called after every slice.
+    static generateInSlices(data, options = {}, onProgress = null) {
+        const job = TruthTable.prepare(data, options);
+        if (!job) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const slice = () => {
+                const end = Date.now() + TRUTH_TABLE_SLICE_MS;
+                do {
+                    TruthTable.addRow(job);
+                } while (job.rows.length < job.total && Date.now() < end);
+
+                if (onProgress) onProgress(job.rows.length, job.total);
+                if (job.rows.length < job.total) {
+                    setTimeout(slice, 0);
+                } else {
+                    resolve(TruthTable.finish(job));
+                }
+            };
+            slice();
+        });
+    }
+
+    // The simulator, terminals and rows of a table still being built, or null
+    // (with a warning) if the circuit has no table
+    static prepare(data, options) {
+        const simulator = TruthTable.createSimulator(data, options);
+        const terminals = TruthTable.findTerminals(simulator.components);
+        if (!terminals) return null;
+
+        const { inputs, outputs } = terminals;
+        if (inputs.length === 0 || outputs.length === 0) {
+            console.warn('Truth table: the circuit needs at least one switch or push button and one LED or buzzer');
+            return null;
+        }
+        if (inputs.length > MAX_TRUTH_TABLE_INPUTS) {
+            console.warn(`Truth table: ${inputs.length} inputs is more than the ${MAX_TRUTH_TABLE_INPUTS} supported`);
+            return null;
+        }
+
+        return { simulator, terminals, options, rows: [], total: 2 ** inputs.length };
+    }
+
+    // Evaluate the next input combination of a table being built
+    static addRow(job) {
+        const bits = TruthTable.bitsOf(job.rows.length, job.terminals.inputs.length);
+        job.rows.push({ inputs: bits, outputs: TruthTable.evaluate(job.simulator, job.terminals, bits, job.options.maxTicks) });
+    }
+
+    static finish({ terminals, rows }) {
+        return new TruthTable(terminals.inputs.map(input => input.name), terminals.outputs.map(output => output.name), rows);
+    }
+
+    // Bits of an input combination, most significant first
+    static bitsOf(combination, count) {
+        return Array.from({ length: count }, (_, i) => (combination >> (count - 1 - i)) & 1);
+    }
+
+    // Hold the inputs at bits, let the circuit settle and read the outputs
+    // (0/1, or 'X' for all of them if it didn't settle)
+    static evaluate(simulator, { inputs, outputs }, bits, maxTicks) {
+        inputs.forEach((input, i) => input.components.forEach(component => TruthTable.setInput(component, bits[i] === 1)));
+
+        const settled = simulator.settle(maxTicks);
+        return outputs.map(output => settled ? (output.component.powered ? 1 : 0) : 'X');
+    }
+
+    // Comma-separated, with a header row of input then output names
+    toCSV() {
+        const cell = value => {
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [[...this.inputs, ...this.outputs].map(cell).join(',')];
+        this.rows.forEach(row => lines.push([...row.inputs, ...row.outputs].join(',')));
+        return lines.join('\n') + '\n';
+    }
+
+    // GitHub-style Markdown table
+    toMarkdown() {
+        const cell = value => String(value).replace(/\|/g, '\\|');
+        const names = [...this.inputs, ...this.outputs].map(cell);
+        const lines = [
+            `| ${names.join(' | ')} |`,
+            `| ${names.map(() => '---').join(' | ')} |`
+        ];
+        this.rows.forEach(row => lines.push(`| ${[...row.inputs, ...row.outputs].join(' | ')} |`));
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TruthTable };
+}
@@ -13,6 +13,12 @@ class UIManager {
         this.selectedComponent = null;
         this.mousePos = { x: 0, y: 0 };
         this.ghostComponent = null;
+        this.displayedTick = null; // Last tick shown in the toolbar
+        this.hoveredComponent = null; // Component under the mouse, for DC readings
+        this.hoveredCell = null; // Grid cell under the mouse, whose net is highlighted
+        this.analyzerPanel = null; // Logic analyzer waveform view, once the panel exists
+        this.showingShortWarning = false; // Status bar currently warns about a short
+        this.generatingTruthTable = false; // A truth table is being worked out a slice at a time
         
         // Zoom state
         this.zoom = 1.0;
@@ -33,7 +39,15 @@ class UIManager {
         this.setupButtons();
         this.addZoomControls();
         this.addAudioControls();
+        this.addSimulationControls();
         this.setupNavigationControls();
+        
+        // Report logic that never settles
+        this.simulator.onOscillation = gates => this.reportOscillation(gates);
+        this.simulator.onBurnOut = led => this.reportBurnOut(led);
+        this.simulator.onBatteryEmpty = battery => this.reportBatteryEmpty(battery);
+        this.simulator.onShortCircuit = shorts => this.reportShortCircuits(shorts);
+        this.simulator.onBreakpoint = hits => this.reportBreakpoint(hits);
     }
     
     // Setup all event listeners
@@ -45,6 +59,10 @@ class UIManager {
         this.canvas.addEventListener('wheel', (e) => this.handleWheel(e));
         this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
         this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hoveredComponent = null;
+            this.hoveredCell = null;
+        });
         
         // Window events
         window.addEventListener('resize', () => this.handleResize());
@@ -108,6 +126,32 @@ class UIManager {
             this.importCircuit(e.target.files[0]);
         });
         
+        // Analysis buttons
+        document.getElementById('truthTableBtn')?.addEventListener('click', () => {
+            this.showTruthTableDialog();
+        });
+        document.getElementById('synthesizeBtn')?.addEventListener('click', () => {
+            this.showSynthesisDialog();
+        });
+        document.getElementById('minimizeBtn')?.addEventListener('click', () => {
+            this.showMinimizerDialog();
+        });
+        document.getElementById('compareBtn')?.addEventListener('click', () => {
+            this.showEquivalenceDialog();
+        });
+        
+        // Watches and breakpoints
+        const watchInput = document.getElementById('watchInput');
+        const addWatch = () => {
+            if (this.addWatch(watchInput.value, document.getElementById('watchPauseOn')?.value || 'none')) {
+                watchInput.value = '';
+            }
+        };
+        document.getElementById('addWatchBtn')?.addEventListener('click', addWatch);
+        watchInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') addWatch();
+        });
+        
         // Starter circuit buttons
         document.getElementById('loadBlinkingLED').addEventListener('click', () => {
             this.loadStarterCircuit('blinkingLED');
@@ -264,16 +308,15 @@ class UIManager {
             // Handle component-specific interactions
             if (component.type === 'switch') {
                 component.toggle();
+                this.syncLabelledSwitches(component);
                 window.audioManager.playSwitch();
                 this.updateStatus(`Switch ${component.closed ? 'closed' : 'opened'}`);
             } else if (component.type === 'push-button') {
-                component.toggle(); // This will do a brief press
+                component.toggle(this.simulator.clock.now()); // This will do a brief press
                 window.audioManager.playSwitch();
                 this.updateStatus(`Push button pressed briefly`);
                 // Force immediate simulation update to catch the button press
                 this.simulator.updateCircuit();
-                // Also trigger component updates to ensure buzzer sounds play
-                this.simulator.components.forEach(comp => comp.update());
             }
         } else {
             this.selectComponent(null);
@@ -305,13 +348,15 @@ class UIManager {
         
         this.mousePos = { x: screenX, y: screenY };
         
-        // Update coordinates display
-        const gridPos = this.grid.pixelToGrid(x, y);
-        this.updateCoordinates(gridPos.x, gridPos.y);
-        
         // Update cursor based on hover
+        const gridPos = this.grid.pixelToGrid(x, y);
         const component = this.grid.getComponentAtPixel(x, y);
         this.canvas.style.cursor = component ? 'pointer' : 'crosshair';
+        this.hoveredComponent = component;
+        this.hoveredCell = gridPos;
+        
+        // Update coordinates display
+        this.updateCoordinates(gridPos.x, gridPos.y);
     }
     
     // Handle canvas right click
@@ -376,6 +421,115 @@ class UIManager {
         };
         
         menu.appendChild(rotateBtn);
+        
+        // LEDs can change colour, and be swapped for a fresh one once burnt out
+        if (component.type === 'led') {
+            const colorBtn = document.createElement('button');
+            colorBtn.textContent = 'Colour';
+            colorBtn.className = 'btn pixel-btn';
+            colorBtn.style.width = '100%';
+            colorBtn.style.marginBottom = '5px';
+            colorBtn.onclick = () => {
+                this.cycleLEDColor(component);
+                document.body.removeChild(menu);
+            };
+            menu.appendChild(colorBtn);
+            
+            if (component.burnedOut) {
+                const replaceBtn = document.createElement('button');
+                replaceBtn.textContent = 'Replace';
+                replaceBtn.className = 'btn pixel-btn';
+                replaceBtn.style.width = '100%';
+                replaceBtn.style.marginBottom = '5px';
+                replaceBtn.onclick = () => {
+                    this.replaceLED(component);
+                    document.body.removeChild(menu);
+                };
+                menu.appendChild(replaceBtn);
+            }
+        }
+        
+        // Batteries can be given a capacity, and recharged once it runs down
+        if (component.type === 'battery') {
+            const capacityBtn = document.createElement('button');
+            capacityBtn.textContent = component.capacity === null ? 'Capacity: ∞' : `Capacity: ${component.capacity} mAh`;
+            capacityBtn.className = 'btn pixel-btn';
+            capacityBtn.style.width = '100%';
+            capacityBtn.style.marginBottom = '5px';
+            capacityBtn.onclick = () => {
+                document.body.removeChild(menu);
+                this.editBatteryCapacity(component);
+            };
+            menu.appendChild(capacityBtn);
+            
+            if (component.capacity !== null && component.charge < component.capacity) {
+                const rechargeBtn = document.createElement('button');
+                rechargeBtn.textContent = 'Recharge';
+                rechargeBtn.className = 'btn pixel-btn';
+                rechargeBtn.style.width = '100%';
+                rechargeBtn.style.marginBottom = '5px';
+                rechargeBtn.onclick = () => {
+                    this.rechargeBattery(component);
+                    document.body.removeChild(menu);
+                };
+                menu.appendChild(rechargeBtn);
+            }
+        }
+        
+        // Labels name parts for truth tables and other tools
+        const labelBtn = document.createElement('button');
+        labelBtn.textContent = component.label ? `Label: ${component.label}` : 'Label';
+        labelBtn.className = 'btn pixel-btn';
+        labelBtn.style.width = '100%';
+        labelBtn.style.marginBottom = '5px';
+        labelBtn.onclick = () => {
+            document.body.removeChild(menu);
+            this.editLabel(component);
+        };
+        menu.appendChild(labelBtn);
+        
+        // Any part (or a wire, for its net) can be watched in the logic analyzer
+        const probeBtn = document.createElement('button');
+        probeBtn.textContent = this.simulator.analyzer.hasProbe(component) ? 'Remove Probe' : 'Probe';
+        probeBtn.className = 'btn pixel-btn';
+        probeBtn.style.width = '100%';
+        probeBtn.style.marginBottom = '5px';
+        probeBtn.onclick = () => {
+            this.toggleProbe(component);
+            document.body.removeChild(menu);
+        };
+        menu.appendChild(probeBtn);
+        
+        // Labelled parts can pause the simulation when they change
+        if (component.label) {
+            [['true', 'Break When On'], ['change', 'Break On Change']].forEach(([pauseOn, text]) => {
+                const breakBtn = document.createElement('button');
+                breakBtn.textContent = text;
+                breakBtn.className = 'btn pixel-btn';
+                breakBtn.style.width = '100%';
+                breakBtn.style.marginBottom = '5px';
+                breakBtn.onclick = () => {
+                    this.addWatch(component.label, pauseOn);
+                    document.body.removeChild(menu);
+                };
+                menu.appendChild(breakBtn);
+            });
+        }
+        
+        // Gates have an editable propagation delay
+        if (component instanceof LogicGate) {
+            const delayBtn = document.createElement('button');
+            delayBtn.textContent = `Delay: ${this.simulator.getGateDelay(component)}`;
+            delayBtn.className = 'btn pixel-btn';
+            delayBtn.style.width = '100%';
+            delayBtn.style.marginBottom = '5px';
+            delayBtn.onclick = () => {
+                document.body.removeChild(menu);
+                this.editGateDelay(component);
+            };
+            menu.appendChild(delayBtn);
+        }
+        
         menu.appendChild(deleteBtn);
         document.body.appendChild(menu);
         
@@ -408,12 +562,203 @@ class UIManager {
         this.updateStatus(`Deleted ${component.type}`);
     }
     
+    // Switch an LED to its next colour (and forward voltage)
+    cycleLEDColor(led) {
+        window.circuPlay.saveState('Change LED colour');
+        const name = led.cycleColor();
+        this.updateStatus(`LED is now ${name} (${led.forwardVoltage} V)`);
+    }
+    
+    // Swap a burnt-out LED for a fresh one
+    replaceLED(led) {
+        window.circuPlay.saveState('Replace LED');
+        led.replace();
+        this.updateStatus(`Replaced LED at (${led.gridX}, ${led.gridY})`);
+    }
+    
+    // Ask for a battery's capacity in mAh (blank for an ideal battery)
+    editBatteryCapacity(battery) {
+        const answer = prompt('Battery capacity in mAh (blank for one that never runs down):', battery.capacity ?? '');
+        if (answer === null) return;
+        
+        const capacity = answer.trim() === '' ? null : parseFloat(answer);
+        if (capacity !== null && !(capacity > 0)) {
+            window.audioManager.playError();
+            this.showMessage('Capacity must be a number of mAh above 0', 'error');
+            return;
+        }
+        
+        window.circuPlay.saveState('Set battery capacity');
+        battery.setCapacity(capacity);
+        this.updateStatus(capacity === null ?
+            'Battery is ideal: it never runs down' :
+            `Battery holds ${capacity} mAh`);
+    }
+    
+    // Fill a battery back up
+    rechargeBattery(battery) {
+        window.circuPlay.saveState('Recharge battery');
+        battery.recharge();
+        this.updateStatus(`Recharged battery at (${battery.gridX}, ${battery.gridY})`);
+    }
+    
+    // Ask for a component's label (blank removes it)
+    editLabel(component) {
+        const answer = prompt(`Label for this ${component.type} (e.g. A, B, Sum):`, component.label);
+        if (answer === null) return;
+        
+        window.circuPlay.saveState(`Label ${component.type}`);
+        component.label = answer.trim();
+        component.notifyStateChange(); // Watches and the worker go by labels
+        this.updateStatus(component.label ?
+            `${component.type} at (${component.gridX}, ${component.gridY}) is now "${component.label}"` :
+            `Removed label from ${component.type}`);
+    }
+    
+    // Switches sharing a label are one input (a synthesized circuit has a
+    // switch for every use of a variable), so they follow each other
+    syncLabelledSwitches(source) {
+        if (!source.label) return;
+        
+        this.simulator.components.forEach(component => {
+            if (component.type === 'switch' && component !== source && component.label === source.label) {
+                component.setClosed(source.closed);
+            }
+        });
+    }
+    
+    // Start or stop recording a component in the logic analyzer
+    toggleProbe(component) {
+        const analyzer = this.simulator.analyzer;
+        if (analyzer.hasProbe(component)) {
+            analyzer.removeProbe(component);
+            this.updateStatus(`Stopped probing ${component.type} at (${component.gridX}, ${component.gridY})`);
+            return;
+        }
+        
+        analyzer.addProbe(component);
+        this.toggleAnalyzer(true);
+        this.updateStatus(`Probing ${component.type} at (${component.gridX}, ${component.gridY})`);
+    }
+    
+    // Watch an expression over component labels, optionally pausing when it
+    // turns 1 ('true') or changes ('change')
+    addWatch(text, pauseOn = 'none') {
+        const watch = this.simulator.watches.add(text, pauseOn);
+        if (!watch) {
+            window.audioManager.playError();
+            this.showMessage(this.simulator.watches.error, 'error');
+            return null;
+        }
+        
+        this.updateWatchList();
+        this.updateStatus(pauseOn === 'none' ?
+            `Watching ${watch.text}` :
+            `Breakpoint: pause when ${watch.text} ${pauseOn === 'true' ? 'turns on' : 'changes'}`);
+        return watch;
+    }
+    
+    // Redraw the watch list with each watch's current value
+    updateWatchList() {
+        const list = document.getElementById('watchList');
+        if (!list) return;
+        
+        const hits = new Set(this.simulator.breakpointHits.map(hit => hit.watch));
+        list.innerHTML = '';
+        this.simulator.watches.watches.forEach(watch => {
+            const item = document.createElement('li');
+            item.classList.toggle('hit', hits.has(watch));
+            
+            // Watch text comes from the user, so add it as text
+            const text = document.createElement('span');
+            text.className = 'watch-text';
+            text.textContent = `${watch.pauseOn === 'none' ? '' : '● '}${watch.text}`;
+            text.title = watch.pauseOn === 'true' ? 'Pauses when it turns 1' :
+                watch.pauseOn === 'change' ? 'Pauses when it changes' : 'Watch only';
+            
+            const value = document.createElement('span');
+            value.className = 'watch-value';
+            value.textContent = watch.value ?? '?';
+            
+            const remove = document.createElement('button');
+            remove.className = 'watch-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove';
+            remove.onclick = () => {
+                this.simulator.watches.remove(watch);
+                this.updateWatchList();
+            };
+            
+            item.append(text, value, remove);
+            list.appendChild(item);
+        });
+    }
+    
+    // A watch paused the simulation: say which, and why
+    reportBreakpoint(hits) {
+        const [{ watch, from, to }] = hits;
+        const more = hits.length > 1 ? ` (+${hits.length - 1} more)` : '';
+        this.updateSimulationControls();
+        this.updateWatchList();
+        this.updateStatus(`⏸ Breakpoint at tick ${this.simulator.clock.tick}: ${watch.text} ${from} → ${to}${more}`);
+        window.audioManager.playClick();
+    }
+    
+    // Show or hide the logic analyzer panel under the canvas
+    toggleAnalyzer(visible = !this.analyzerPanel?.visible) {
+        if (!this.analyzerPanel) return;
+        
+        this.analyzerPanel.show(visible);
+        document.getElementById('analyzerBtn')?.classList.toggle('active', visible);
+        this.handleResize();
+    }
+    
+    // Ask for a gate's propagation delay in ticks. Blank falls back to the
+    // default for its type; "all N" sets that default for every gate of the type.
+    editGateDelay(gate) {
+        const typeDelay = this.simulator.gateDelays[gate.type] || 0;
+        const answer = prompt(
+            `Propagation delay for this ${gate.type} in ticks ` +
+            `(blank for the ${gate.type} default of ${typeDelay}, "all N" to set that default):`,
+            gate.delay ?? ''
+        );
+        if (answer === null) return;
+        
+        const typeMatch = answer.trim().match(/^all\s+(\d+)$/i);
+        if (typeMatch) {
+            const ticks = parseInt(typeMatch[1], 10);
+            this.simulator.setGateDelay(gate.type, ticks);
+            this.storage.updateSettings({ gateDelays: { ...this.simulator.gateDelays } });
+            this.updateStatus(`Every ${gate.type} without its own delay now takes ${ticks} tick(s)`);
+            return;
+        }
+        
+        const ticks = answer.trim() === '' ? null : parseInt(answer, 10);
+        if (ticks !== null && (isNaN(ticks) || ticks < 0)) {
+            window.audioManager.playError();
+            this.showMessage('Delay must be a whole number of ticks', 'error');
+            return;
+        }
+        
+        window.circuPlay.saveState(`Set ${gate.type} delay`);
+        gate.delay = ticks;
+        gate.notifyStateChange();
+        this.updateStatus(`${gate.type} delay: ${this.simulator.getGateDelay(gate)} tick(s)`);
+    }
+    
     // Rotate component
     rotateComponent(component) {
+        const rotation = (component.rotation + 90) % 360;
+        if (!this.grid.canRotateComponent(component, rotation)) {
+            window.audioManager.playError();
+            this.showMessage(`No room to rotate ${component.type}`, 'error');
+            return;
+        }
+        
         // Save state before rotating component
         window.circuPlay.saveState(`Rotate ${component.type}`);
         
-        component.rotate();
+        this.simulator.rotateComponent(component, rotation);
         window.audioManager.playClick();
         this.updateStatus(`Rotated ${component.type} to ${component.rotation}°`);
     }
@@ -581,16 +926,29 @@ class UIManager {
                 e.preventDefault();
                 this.selectNextComponent();
                 break;
+            case '.':
+                if (!e.ctrlKey) {
+                    e.preventDefault();
+                    this.stepSimulation();
+                }
+                break;
+            case ',':
+                if (!e.ctrlKey) {
+                    e.preventDefault();
+                    this.rewindSimulation(this.simulator.clock.tick - 1);
+                }
+                break;
             case 'Enter':
             case ' ':
                 if (this.selectedComponent && this.selectedComponent.type === 'switch') {
                     e.preventDefault();
                     this.selectedComponent.toggle();
+                    this.syncLabelledSwitches(this.selectedComponent);
                     window.audioManager.playSwitch();
                     this.updateStatus(`Switch ${this.selectedComponent.closed ? 'closed' : 'opened'}`);
                 } else if (this.selectedComponent && this.selectedComponent.type === 'push-button') {
                     e.preventDefault();
-                    this.selectedComponent.toggle(); // This will do a brief press
+                    this.selectedComponent.toggle(this.simulator.clock.now()); // This will do a brief press
                     window.audioManager.playSwitch();
                     this.updateStatus(`Push button pressed briefly`);
                 }
@@ -688,6 +1046,449 @@ class UIManager {
         }
     }
     
+    // Truth table of the circuit with the simulator's settings, worked out a
+    // slice at a time with progress in the status bar. Resolves to the table,
+    // or to null (after an error message) if the circuit has no table or one
+    // is already being worked out.
+    generateTruthTable() {
+        if (this.generatingTruthTable) {
+            this.showMessage('Still working out the last truth table', 'error');
+            return Promise.resolve(null);
+        }
+        
+        this.generatingTruthTable = true;
+        return TruthTable.generateInSlices(this.simulator.exportCircuit(), {
+            realistic: this.simulator.realistic,
+            mode: this.simulator.mode,
+            gateDelays: this.simulator.gateDelays
+        }, (done, total) => {
+            this.updateStatus(`Truth table: ${done}/${total} rows`);
+        }).then(table => {
+            this.generatingTruthTable = false;
+            if (!table) {
+                window.audioManager.playError();
+                this.showMessage('Need 1-12 switches/buttons and an LED or buzzer, each with a different label', 'error');
+            }
+            return table;
+        });
+    }
+    
+    // Empty dialog box in the middle of the screen, not yet on the page
+    createDialog() {
+        const dialog = document.createElement('div');
+        dialog.style.position = 'fixed';
+        dialog.style.top = '50%';
+        dialog.style.left = '50%';
+        dialog.style.transform = 'translate(-50%, -50%)';
+        dialog.style.background = '#16213e';
+        dialog.style.border = '3px solid #533a7b';
+        dialog.style.padding = '20px';
+        dialog.style.zIndex = '10000';
+        dialog.style.fontFamily = 'Press Start 2P, monospace';
+        dialog.style.fontSize = '8px';
+        dialog.style.color = '#eee';
+        dialog.style.maxWidth = '600px';
+        dialog.style.maxHeight = '80vh';
+        dialog.style.overflow = 'auto';
+        return dialog;
+    }
+    
+    // Tabulate the circuit's outputs for every combination of its inputs
+    showTruthTableDialog() {
+        this.generateTruthTable().then(table => {
+            if (!table) return;
+            
+            const dialog = this.createDialog();
+            
+            dialog.innerHTML = `
+                <h3 style="margin-bottom: 15px; color: #4cc9f0;">Truth Table</h3>
+                <table style="border-collapse: collapse; margin-bottom: 15px; font-family: monospace; font-size: 12px;"></table>
+                <button id="truthTableCSV" class="btn pixel-btn">CSV</button>
+                <button id="truthTableMarkdown" class="btn pixel-btn">Markdown</button>
+                <button id="closeTruthTable" class="btn pixel-btn">Close</button>
+            `;
+            
+            // Names come from user labels, so fill the table in as text
+            const tableElement = dialog.querySelector('table');
+            const addRow = (cells, tag) => {
+                const tr = document.createElement('tr');
+                cells.forEach((value, i) => {
+                    const cell = document.createElement(tag);
+                    cell.textContent = value;
+                    cell.style.padding = '2px 10px';
+                    cell.style.border = '1px solid #533a7b';
+                    cell.style.color = i < table.inputs.length ? '#4cc9f0' : value === 1 ? '#00ff41' : '#eee';
+                    tr.appendChild(cell);
+                });
+                tableElement.appendChild(tr);
+            };
+            addRow([...table.inputs, ...table.outputs], 'th');
+            table.rows.forEach(row => addRow([...row.inputs, ...row.outputs], 'td'));
+            
+            document.body.appendChild(dialog);
+            
+            dialog.querySelector('#truthTableCSV').onclick = () => {
+                this.downloadText('truth_table.csv', table.toCSV(), 'text/csv');
+            };
+            dialog.querySelector('#truthTableMarkdown').onclick = () => {
+                this.downloadText('truth_table.md', table.toMarkdown(), 'text/markdown');
+            };
+            dialog.querySelector('#closeTruthTable').onclick = () => {
+                document.body.removeChild(dialog);
+            };
+            
+            this.updateStatus(`Truth table: ${table.inputs.length} input(s), ${table.outputs.length} output(s), ${table.rows.length} rows`);
+        });
+    }
+    
+    // Build a circuit from Boolean expressions, or from a truth table filled
+    // in by clicking its output column
+    showSynthesisDialog() {
+        const dialog = this.createDialog();
+        
+        const fieldStyle = 'width: 100%; padding: 8px; margin-bottom: 10px; background: #0f0f23; border: 2px solid #533a7b; color: #eee; font-family: monospace;';
+        dialog.innerHTML = `
+            <h3 style="margin-bottom: 15px; color: #4cc9f0;">Synthesize Circuit</h3>
+            <p style="margin-bottom: 10px;">Expression (one output per line, e.g. Y = (A & B) | !C):</p>
+            <textarea id="synthesisExpression" rows="3" style="${fieldStyle}">Y = (A & B) | !C</textarea>
+            <button id="synthesizeExpression" class="btn pixel-btn" style="margin-bottom: 15px;">Build</button>
+            <p style="margin-bottom: 10px;">Or a truth table - inputs and output:</p>
+            <input id="synthesisInputs" type="text" value="A B C" style="${fieldStyle}">
+            <input id="synthesisOutput" type="text" value="Y" style="${fieldStyle}">
+            <button id="synthesisMakeTable" class="btn pixel-btn">Table</button>
+            <table id="synthesisTable" style="border-collapse: collapse; margin: 10px 0; font-family: monospace; font-size: 12px;"></table>
+            <button id="synthesizeTable" class="btn pixel-btn" style="display: none;">Build from table</button>
+            <button id="closeSynthesis" class="btn pixel-btn">Close</button>
+        `;
+        document.body.appendChild(dialog);
+        
+        const close = () => document.body.removeChild(dialog);
+        let table = null;
+        
+        dialog.querySelector('#synthesizeExpression').onclick = () => {
+            const parser = new ExpressionParser(dialog.querySelector('#synthesisExpression').value);
+            const outputs = parser.parse();
+            if (!outputs) {
+                window.audioManager.playError();
+                this.showMessage(parser.error, 'error');
+                return;
+            }
+            if (this.buildSynthesizedCircuit(outputs)) close();
+        };
+        
+        // An all-zero table over the inputs; clicking an output cell flips it
+        dialog.querySelector('#synthesisMakeTable').onclick = () => {
+            const inputs = dialog.querySelector('#synthesisInputs').value.split(/[\s,]+/).filter(Boolean);
+            const output = dialog.querySelector('#synthesisOutput').value.trim() || 'Y';
+            if (inputs.length === 0 || inputs.length > 6 || new Set([...inputs, output]).size !== inputs.length + 1) {
+                window.audioManager.playError();
+                this.showMessage('Give 1-6 different input names and an output name', 'error');
+                return;
+            }
+            
+            table = new TruthTable(inputs, [output], Array.from({ length: 2 ** inputs.length }, (_, n) => ({
+                inputs: inputs.map((_, i) => (n >> (inputs.length - 1 - i)) & 1),
+                outputs: [0]
+            })));
+            
+            const tableElement = dialog.querySelector('#synthesisTable');
+            tableElement.innerHTML = '';
+            const addRow = (cells, tag, row) => {
+                const tr = document.createElement('tr');
+                cells.forEach((value, i) => {
+                    const cell = document.createElement(tag);
+                    cell.textContent = value;
+                    cell.style.padding = '2px 10px';
+                    cell.style.border = '1px solid #533a7b';
+                    cell.style.color = i < inputs.length ? '#4cc9f0' : '#eee';
+                    if (row && i === inputs.length) {
+                        cell.style.cursor = 'pointer';
+                        cell.onclick = () => {
+                            row.outputs[0] = 1 - row.outputs[0];
+                            cell.textContent = row.outputs[0];
+                            cell.style.color = row.outputs[0] ? '#00ff41' : '#eee';
+                        };
+                    }
+                    tr.appendChild(cell);
+                });
+                tableElement.appendChild(tr);
+            };
+            addRow([...inputs, output], 'th');
+            table.rows.forEach(row => addRow([...row.inputs, ...row.outputs], 'td', row));
+            dialog.querySelector('#synthesizeTable').style.display = '';
+        };
+        
+        dialog.querySelector('#synthesizeTable').onclick = () => {
+            if (table && this.buildSynthesizedCircuit(CircuitSynthesizer.fromTruthTable(table))) close();
+        };
+        dialog.querySelector('#closeSynthesis').onclick = close;
+    }
+    
+    // Minimal sum of products and a Karnaugh map for each output of the
+    // circuit. Clicking a map cell cycles it 0 -> 1 -> don't care, and the
+    // circuit can be rebuilt from the minimized expressions.
+    showMinimizerDialog() {
+        this.generateTruthTable().then(table => {
+            if (!table) return;
+            if (table.inputs.length > MAX_MINIMIZER_VARIABLES) {
+                window.audioManager.playError();
+                this.showMessage(`Karnaugh maps go up to ${MAX_MINIMIZER_VARIABLES} inputs, this circuit has ${table.inputs.length}`, 'error');
+                return;
+            }
+            
+            const functions = table.outputs.map((name, i) => ({ name, ...BooleanMinimizer.fromTruthTable(table, i) }));
+            const layout = BooleanMinimizer.karnaughLayout(table.inputs);
+            const colors = ['#ff6b6b', '#ffd93d', '#4cc9f0', '#00ff41', '#c77dff', '#ff9f1c', '#2ec4b6', '#f72585'];
+            const gatesBefore = this.simulator.components.filter(component => component instanceof LogicGate).length;
+            let selected = 0;
+            
+            const dialog = this.createDialog();
+            dialog.innerHTML = `
+                <h3 style="margin-bottom: 15px; color: #4cc9f0;">Minimize</h3>
+                <select id="minimizerOutput" style="margin-bottom: 10px; background: #0f0f23; color: #eee; border: 2px solid #533a7b; font-family: monospace;"></select>
+                <div id="minimizerMaps" style="display: flex; flex-wrap: wrap; gap: 15px; margin-bottom: 10px;"></div>
+                <div id="minimizerTerms" style="font-family: monospace; font-size: 12px; margin-bottom: 10px;"></div>
+                <p id="minimizerGates" style="margin-bottom: 15px;"></p>
+                <button id="minimizerRebuild" class="btn pixel-btn">Rebuild</button>
+                <button id="closeMinimizer" class="btn pixel-btn">Close</button>
+            `;
+            
+            const select = dialog.querySelector('#minimizerOutput');
+            functions.forEach((fn, i) => {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = fn.name;
+                select.appendChild(option);
+            });
+            
+            const minimized = () => functions.map(fn => ({
+                name: fn.name,
+                implicants: BooleanMinimizer.minimize(table.inputs.length, fn.minterms, fn.dontCares)
+            }));
+            
+            const render = () => {
+                const results = minimized();
+                const { implicants } = results[selected];
+                const fn = functions[selected];
+                
+                // One table per map, cells tinted by the first term covering them
+                const mapsElement = dialog.querySelector('#minimizerMaps');
+                mapsElement.innerHTML = '';
+                layout.maps.forEach(map => {
+                    const mapElement = document.createElement('table');
+                    mapElement.style.borderCollapse = 'collapse';
+                    mapElement.style.fontFamily = 'monospace';
+                    mapElement.style.fontSize = '12px';
+                    
+                    const caption = document.createElement('caption');
+                    caption.textContent = map.title;
+                    caption.style.color = '#4cc9f0';
+                    mapElement.appendChild(caption);
+                    
+                    const header = document.createElement('tr');
+                    [`${layout.rowVariables.join('')}\\${layout.columnVariables.join('')}`, ...layout.columnLabels].forEach(text => {
+                        const th = document.createElement('th');
+                        th.textContent = text;
+                        th.style.padding = '2px 8px';
+                        th.style.color = '#4cc9f0';
+                        header.appendChild(th);
+                    });
+                    mapElement.appendChild(header);
+                    
+                    map.cells.forEach((row, r) => {
+                        const tr = document.createElement('tr');
+                        const label = document.createElement('th');
+                        label.textContent = layout.rowLabels[r];
+                        label.style.color = '#4cc9f0';
+                        tr.appendChild(label);
+                        
+                        row.forEach(minterm => {
+                            const td = document.createElement('td');
+                            const value = fn.minterms.includes(minterm) ? '1' : fn.dontCares.includes(minterm) ? 'X' : '0';
+                            const term = implicants.findIndex(implicant => BooleanMinimizer.covers(implicant, minterm));
+                            td.textContent = value;
+                            td.title = `Row ${minterm}`;
+                            td.style.padding = '4px 10px';
+                            td.style.border = '1px solid #533a7b';
+                            td.style.cursor = 'pointer';
+                            td.style.color = term >= 0 ? '#16213e' : '#eee';
+                            td.style.background = term >= 0 && value !== '0' ? colors[term % colors.length] : 'transparent';
+                            td.onclick = () => {
+                                // 0 -> 1 -> don't care -> 0
+                                if (value === '0') {
+                                    fn.minterms.push(minterm);
+                                } else if (value === '1') {
+                                    fn.minterms.splice(fn.minterms.indexOf(minterm), 1);
+                                    fn.dontCares.push(minterm);
+                                } else {
+                                    fn.dontCares.splice(fn.dontCares.indexOf(minterm), 1);
+                                }
+                                render();
+                            };
+                            tr.appendChild(td);
+                        });
+                        mapElement.appendChild(tr);
+                    });
+                    mapsElement.appendChild(mapElement);
+                });
+                
+                // The terms in their map colours, then the whole expression
+                const termsElement = dialog.querySelector('#minimizerTerms');
+                termsElement.innerHTML = '';
+                implicants.forEach((implicant, i) => {
+                    const term = document.createElement('div');
+                    term.style.color = colors[i % colors.length];
+                    term.textContent = `${BooleanMinimizer.format(implicant, table.inputs.length)}  ` +
+                        ExpressionParser.format(BooleanMinimizer.toExpression(table.inputs, [implicant]));
+                    termsElement.appendChild(term);
+                });
+                const expression = document.createElement('div');
+                expression.style.marginTop = '5px';
+                expression.textContent = `${fn.name} = ${ExpressionParser.format(BooleanMinimizer.toExpression(table.inputs, implicants))}`;
+                termsElement.appendChild(expression);
+                
+                const data = CircuitSynthesizer.synthesize(results.map(result => ({
+                    name: result.name,
+                    expression: BooleanMinimizer.toExpression(table.inputs, result.implicants)
+                })));
+                dialog.querySelector('#minimizerGates').textContent =
+                    `Gates: ${gatesBefore} now, ${CircuitSynthesizer.countGates(data)} minimized`;
+            };
+            
+            select.onchange = () => {
+                selected = Number(select.value);
+                render();
+            };
+            dialog.querySelector('#minimizerRebuild').onclick = () => {
+                const outputs = minimized().map(result => ({
+                    name: result.name,
+                    expression: BooleanMinimizer.toExpression(table.inputs, result.implicants)
+                }));
+                if (this.buildSynthesizedCircuit(outputs)) document.body.removeChild(dialog);
+            };
+            dialog.querySelector('#closeMinimizer').onclick = () => document.body.removeChild(dialog);
+            
+            document.body.appendChild(dialog);
+            render();
+        });
+    }
+    
+    // Check two circuits - saved ones or the one being edited - give the same
+    // outputs for the same inputs, matched up by label
+    showEquivalenceDialog() {
+        const circuits = this.storage.getAllCircuits();
+        const names = Object.keys(circuits);
+        if (names.length === 0) {
+            this.showMessage('Save a circuit first to compare against it', 'info');
+            return;
+        }
+        
+        const dialog = this.createDialog();
+        const selectStyle = 'width: 100%; padding: 8px; margin-bottom: 10px; background: #0f0f23; border: 2px solid #533a7b; color: #eee; font-family: monospace;';
+        dialog.innerHTML = `
+            <h3 style="margin-bottom: 15px; color: #4cc9f0;">Compare Circuits</h3>
+            <select id="equivalenceFirst" style="${selectStyle}"></select>
+            <select id="equivalenceSecond" style="${selectStyle}"></select>
+            <div id="equivalenceResult" style="font-family: monospace; font-size: 12px; margin-bottom: 15px;"></div>
+            <button id="equivalenceCheck" class="btn pixel-btn">Check</button>
+            <button id="closeEquivalence" class="btn pixel-btn">Close</button>
+        `;
+        
+        // Names are user text, so add the options as text
+        const CURRENT = ''; // Option value for the circuit being edited
+        const selects = [dialog.querySelector('#equivalenceFirst'), dialog.querySelector('#equivalenceSecond')];
+        selects.forEach((select, i) => {
+            [[CURRENT, '(current circuit)'], ...names.map(name => [name, name])].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = i === 0 ? CURRENT : names[0];
+        });
+        
+        const result = dialog.querySelector('#equivalenceResult');
+        const show = (text, color) => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            line.style.color = color;
+            result.appendChild(line);
+        };
+        
+        dialog.querySelector('#equivalenceCheck').onclick = () => {
+            const [first, second] = selects.map(select => select.value === CURRENT ?
+                this.simulator.exportCircuit() :
+                this.storage.loadCircuit(select.value).data);
+            
+            const checker = new EquivalenceChecker(first, second, {
+                realistic: this.simulator.realistic,
+                mode: this.simulator.mode,
+                gateDelays: this.simulator.gateDelays
+            });
+            const outcome = checker.check();
+            
+            result.innerHTML = '';
+            if (!outcome) {
+                window.audioManager.playError();
+                show(checker.error, '#ff6b6b');
+                return;
+            }
+            
+            if (outcome.equivalent) {
+                window.audioManager.playSuccess();
+                show(`Equivalent: all ${outcome.checked} input combinations match`, '#00ff41');
+                return;
+            }
+            if (outcome.equivalent === null) {
+                show(`No difference found in ${outcome.checked} random input combinations (seed ${outcome.seed})`, '#ffd93d');
+                show('Not a proof: there are too many inputs to try them all', '#eee');
+                return;
+            }
+            
+            window.audioManager.playError();
+            const { inputs, outputs } = outcome.counterexample;
+            show(outcome.exhaustive ? 'Not equivalent. Counterexample:' :
+                `Not equivalent. Counterexample (seed ${outcome.seed}):`, '#ff6b6b');
+            show(Object.entries(inputs).map(([name, bit]) => `${name}=${bit}`).join(' '), '#4cc9f0');
+            Object.entries(outputs).forEach(([name, [a, b]]) => show(`${name}: ${a} in the first, ${b} in the second`, '#eee'));
+        };
+        dialog.querySelector('#closeEquivalence').onclick = () => document.body.removeChild(dialog);
+        
+        document.body.appendChild(dialog);
+    }
+    
+    // Replace the circuit with one built from [{ name, expression }] outputs
+    buildSynthesizedCircuit(outputs) {
+        const data = CircuitSynthesizer.synthesize(outputs, this.grid.gridSize);
+        const size = CircuitSynthesizer.getSize(data);
+        if (size.cols > this.grid.cols || size.rows > this.grid.rows) {
+            window.audioManager.playError();
+            this.showMessage(`The circuit needs ${size.cols}x${size.rows} cells but the grid is ${this.grid.cols}x${this.grid.rows}`, 'error');
+            return false;
+        }
+        
+        window.circuPlay.saveState('Synthesize circuit');
+        this.simulator.clear();
+        this.simulator.importCircuit(data);
+        this.selectedComponent = null;
+        
+        const gates = this.simulator.components.filter(component => component instanceof LogicGate).length;
+        this.updateStatus(`Built ${outputs.map(output => `${output.name} = ${ExpressionParser.format(output.expression)}`).join(', ')} with ${gates} gate(s)`);
+        window.audioManager.playSuccess();
+        return true;
+    }
+    
+    // Save text as a downloaded file
+    downloadText(filename, text, type = 'text/plain') {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
     // Show help dialog with keyboard shortcuts
     showHelpDialog() {
         const helpDialog = document.createElement('div');
@@ -730,6 +1531,9 @@ class UIManager {
                 <span>Enter/Space</span><span>Toggle switch</span>
                 <span>Escape</span><span>Deselect component</span>
                 
+                <strong style="color: #4cc9f0;">Simulation:</strong><span></span>
+                <span>.</span><span>Pause and step one tick</span>
+                
                 <strong style="color: #4cc9f0;">Quick Select:</strong><span></span>
                 <span>1</span><span>Battery</span>
                 <span>2</span><span>LED</span>
@@ -802,6 +1606,9 @@ class UIManager {
         // Check if new position is valid
         if (newX >= 0 && newX < this.grid.cols && newY >= 0 && newY < this.grid.rows) {
             if (this.grid.isEmpty(newX, newY)) {
+                // Old neighbours lose the connection
+                this.simulator.invalidate(this.selectedComponent);
+                
                 // Remove from old position
                 this.grid.removeComponent(gridCoord.x, gridCoord.y);
                 
@@ -812,6 +1619,7 @@ class UIManager {
                 
                 // Place in new position
                 this.grid.placeComponent(this.selectedComponent, newX, newY);
+                this.simulator.invalidate(this.selectedComponent);
                 
                 this.updateStatus(`Moved ${this.selectedComponent.type} to (${newX}, ${newY})`);
                 window.audioManager.playClick();
@@ -1031,6 +1839,225 @@ class UIManager {
         }
     }
     
+    // Wire up the pause/resume and single-step buttons
+    addSimulationControls() {
+        const pauseBtn = document.getElementById('pauseBtn');
+        const stepBtn = document.getElementById('stepBtn');
+        const realisticBtn = document.getElementById('realisticBtn');
+        const dcBtn = document.getElementById('dcBtn');
+        const speedSlider = document.getElementById('speedSlider');
+        const maxSpeedBtn = document.getElementById('maxSpeedBtn');
+        const rewindSlider = document.getElementById('rewindSlider');
+        const analyzerBtn = document.getElementById('analyzerBtn');
+        const analyzerPanel = document.getElementById('analyzerPanel');
+        
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => this.togglePause());
+        }
+        
+        if (stepBtn) {
+            stepBtn.addEventListener('click', () => this.stepSimulation());
+        }
+        
+        if (realisticBtn) {
+            realisticBtn.addEventListener('click', () => this.toggleRealisticMode());
+        }
+        
+        if (dcBtn) {
+            dcBtn.addEventListener('click', () => this.toggleDCMode());
+        }
+        
+        // The slider is logarithmic: -10..10 is 0.1x..10x, with 1x in the middle
+        if (speedSlider) {
+            speedSlider.addEventListener('input', () => this.setSimulationSpeed(10 ** (speedSlider.value / 10)));
+        }
+        
+        if (maxSpeedBtn) {
+            maxSpeedBtn.addEventListener('click', () => {
+                this.setSimulationSpeed(this.simulator.speed === 'max' ? 10 ** (Number(speedSlider?.value || 0) / 10) : 'max');
+            });
+        }
+        
+        if (rewindSlider) {
+            rewindSlider.addEventListener('input', () => this.rewindSimulation(Number(rewindSlider.value)));
+        }
+        
+        if (analyzerPanel) {
+            this.analyzerPanel = new AnalyzerPanel(analyzerPanel, this.simulator.analyzer, this.simulator.clock);
+            analyzerBtn?.addEventListener('click', () => this.toggleAnalyzer());
+            document.getElementById('analyzerCloseBtn')?.addEventListener('click', () => this.toggleAnalyzer(false));
+        }
+        
+        // Restore the saved simulation mode
+        const settings = this.storage.getSettings();
+        this.simulator.setRealistic(settings.realisticMode === true);
+        this.simulator.setMode(settings.simulationMode === 'dc' ? 'dc' : 'logic');
+        Object.entries(settings.gateDelays || {}).forEach(([type, ticks]) => this.simulator.setGateDelay(type, ticks));
+        this.simulator.setSpeed(settings.animationSpeed === 'max' ? 'max' : Number(settings.animationSpeed) || 1);
+        if (speedSlider && this.simulator.speed !== 'max') {
+            speedSlider.value = Math.round(Math.log10(this.simulator.speed) * 10);
+        }
+        this.updateSimulationControls();
+    }
+    
+    // Change the simulation speed (a multiple of real time, or 'max') and remember it
+    setSimulationSpeed(speed) {
+        if (!this.simulator.setSpeed(speed)) return;
+        
+        this.storage.updateSettings({ animationSpeed: this.simulator.speed });
+        this.updateSimulationControls();
+        this.updateStatus(this.simulator.speed === 'max' ?
+            'Max speed: as many ticks as the browser can run' :
+            `Speed: ${this.formatSpeed(this.simulator.speed)} real time`);
+    }
+    
+    // Speed multiple for display, e.g. "0.5×"
+    formatSpeed(speed) {
+        return `${Number(speed.toPrecision(2))}×`;
+    }
+    
+    // Switch between the simple model and requiring a closed loop
+    toggleRealisticMode() {
+        const realistic = !this.simulator.realistic;
+        this.simulator.setRealistic(realistic);
+        this.storage.updateSettings({ realisticMode: realistic });
+        this.updateSimulationControls();
+        this.updateStatus(realistic ?
+            'Realistic mode: current only flows around a closed loop to - or ground' :
+            'Simple mode: parts light up as soon as power reaches them');
+        window.audioManager.playClick();
+    }
+    
+    // Switch between boolean power flow and DC analysis of voltages and currents
+    toggleDCMode() {
+        const mode = this.simulator.mode === 'dc' ? 'logic' : 'dc';
+        this.simulator.setMode(mode);
+        this.storage.updateSettings({ simulationMode: mode });
+        this.updateSimulationControls();
+        this.updateStatus(mode === 'dc' ?
+            'DC analysis: hover over a part to see its voltages and current' :
+            'Logic mode: power flows on or off');
+        window.audioManager.playClick();
+    }
+    
+    // Pause or resume the simulation clock
+    togglePause() {
+        if (this.simulator.paused) {
+            this.simulator.resume();
+            this.updateStatus('Simulation resumed');
+        } else {
+            this.simulator.pause();
+            this.updateStatus(`Simulation paused at tick ${this.simulator.clock.tick}`);
+        }
+        this.updateSimulationControls();
+    }
+    
+    // Pause (if needed) and advance one tick
+    stepSimulation() {
+        if (!this.simulator.paused) {
+            this.simulator.pause();
+        }
+        const tick = this.simulator.step();
+        this.updateSimulationControls();
+        
+        // A breakpoint hit on this tick has already said why it stopped
+        if (this.simulator.breakpointHits.length === 0) {
+            this.updateStatus(`Stepped to tick ${tick}`);
+        }
+    }
+    
+    // Wind the simulation back to an earlier tick, paused there
+    rewindSimulation(tick) {
+        const range = this.simulator.getRewindRange();
+        if (!range || tick < range.first || tick > range.last) {
+            this.updateStatus('No earlier ticks to rewind to');
+            return;
+        }
+        
+        this.simulator.rewindTo(tick);
+        this.updateSimulationControls();
+        this.updateStatus(`Rewound to tick ${tick} - resume or step to carry on from here`);
+    }
+    
+    // Refresh pause button and tick counter
+    updateSimulationControls() {
+        const pauseBtn = document.getElementById('pauseBtn');
+        if (pauseBtn) {
+            pauseBtn.textContent = this.simulator.paused ? '▶' : '⏸';
+            pauseBtn.title = this.simulator.paused ? 'Resume Simulation' : 'Pause Simulation';
+            pauseBtn.classList.toggle('paused', this.simulator.paused);
+        }
+        
+        const realisticBtn = document.getElementById('realisticBtn');
+        if (realisticBtn) {
+            realisticBtn.classList.toggle('active', this.simulator.realistic);
+            realisticBtn.title = this.simulator.realistic ?
+                'Realistic Mode: on (closed loops only)' : 'Realistic Mode: off';
+        }
+        
+        const dcBtn = document.getElementById('dcBtn');
+        if (dcBtn) {
+            dcBtn.classList.toggle('active', this.simulator.mode === 'dc');
+            dcBtn.title = this.simulator.mode === 'dc' ?
+                'DC Analysis: on (hover for readings)' : 'DC Analysis: off';
+        }
+        
+        const maxSpeedBtn = document.getElementById('maxSpeedBtn');
+        if (maxSpeedBtn) {
+            maxSpeedBtn.classList.toggle('active', this.simulator.speed === 'max');
+            maxSpeedBtn.title = this.simulator.speed === 'max' ? 'Max Speed: on' : 'Max Speed: off';
+        }
+        
+        const speedDisplay = document.getElementById('speedDisplay');
+        if (speedDisplay) {
+            speedDisplay.textContent = this.simulator.speed === 'max' ? 'MAX' : this.formatSpeed(this.simulator.speed);
+        }
+        
+        const tickDisplay = document.getElementById('tickDisplay');
+        if (tickDisplay) {
+            tickDisplay.textContent = `T${this.simulator.clock.tick}`;
+        }
+        
+        // The scrubber spans the ticks kept for rewinding, and sits at the current one
+        const rewindSlider = document.getElementById('rewindSlider');
+        if (rewindSlider) {
+            const range = this.simulator.getRewindRange();
+            rewindSlider.disabled = !range;
+            rewindSlider.min = range ? range.first : 0;
+            rewindSlider.max = range ? range.last : 0;
+            rewindSlider.value = this.simulator.clock.tick;
+        }
+    }
+    
+    // Warn about short circuits after every change, and say when they're gone
+    reportShortCircuits(shorts) {
+        if (shorts.length > 0) {
+            const more = shorts.length > 1 ? ` (+${shorts.length - 1} more)` : '';
+            this.updateStatus(`⚠ ${shorts[0].message}${more}`);
+            this.showingShortWarning = true;
+        } else if (this.showingShortWarning) {
+            this.updateStatus('Short circuit cleared');
+            this.showingShortWarning = false;
+        }
+    }
+    
+    // An LED took more than its maximum current
+    reportBurnOut(led) {
+        window.audioManager.playError();
+        this.updateStatus(`LED at (${led.gridX}, ${led.gridY}) burnt out - add a resistor to limit the current`);
+    }
+    
+    reportBatteryEmpty(battery) {
+        window.audioManager.playError();
+        this.updateStatus(`Battery at (${battery.gridX}, ${battery.gridY}) ran flat - recharge it from its right-click menu`);
+    }
+    
+    // Show gates that keep changing after the simulator's settling cap
+    reportOscillation(gates) {
+        const positions = gates.map(gate => `${gate.type} (${gate.gridX}, ${gate.gridY})`).join(', ');
+        this.updateStatus(`Oscillation detected - circuit never settles: ${positions}`);
+    }
+    
     // Handle window resize
     handleResize() {
         const container = this.canvas.parentElement;
@@ -1045,9 +2072,7 @@ class UIManager {
     // Clear circuit
     clearCircuit() {
         if (confirm('Are you sure you want to clear the circuit?')) {
-            this.grid.clear();
-            this.simulator.components = [];
-            this.simulator.powerSources = [];
+            this.simulator.clear();
             this.selectedComponent = null;
             this.updateStatus('Circuit cleared');
             window.audioManager.playClear();
@@ -1159,7 +2184,9 @@ class UIManager {
     updateCoordinates(gridX, gridY) {
         if (this.coordinatesDisplay) {
             if (gridX !== undefined && gridY !== undefined) {
-                this.coordinatesDisplay.textContent = `Grid: (${gridX}, ${gridY}) | Zoom: ${Math.round(this.zoom * 100)}%`;
+                const hoveredNet = this.simulator.getNetlist().getNetAt(gridX, gridY);
+                const net = hoveredNet ? ` | Net: ${hoveredNet.id}` : '';
+                this.coordinatesDisplay.textContent = `Grid: (${gridX}, ${gridY})${net} | Zoom: ${Math.round(this.zoom * 100)}%`;
             } else {
                 this.coordinatesDisplay.textContent = `Zoom: ${Math.round(this.zoom * 100)}%`;
             }
@@ -1200,6 +2227,13 @@ class UIManager {
     
     // Render all UI elements
     render() {
+        // Keep the tick counter in sync with the running clock
+        if (this.displayedTick !== this.simulator.clock.tick) {
+            this.displayedTick = this.simulator.clock.tick;
+            this.updateSimulationControls();
+            this.updateWatchList();
+        }
+        
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
@@ -1222,12 +2256,118 @@ class UIManager {
             if (component === this.selectedComponent) {
                 this.ctx.strokeStyle = '#4cc9f0';
                 this.ctx.lineWidth = 2 / this.zoom; // Adjust line width for zoom
-                this.ctx.strokeRect(component.x - 2, component.y - 2, component.width + 4, component.height + 4);
+                const bounds = component.getBounds();
+                this.ctx.strokeRect(bounds.x - 2, bounds.y - 2, bounds.width + 4, bounds.height + 4);
+            }
+        });
+        
+        // Labels above the parts that have one
+        this.ctx.font = '8px monospace';
+        this.ctx.fillStyle = '#ffd93d';
+        this.simulator.components.forEach(component => {
+            if (component.label) {
+                const bounds = component.getBounds();
+                this.ctx.fillText(component.label, bounds.x, bounds.y - 2);
             }
         });
         
+        // Outline the parts that make up each short circuit
+        const shortPath = new Set(this.simulator.getShortCircuits().flatMap(short => short.path));
+        if (shortPath.size > 0) {
+            this.ctx.strokeStyle = '#ff6b6b';
+            this.ctx.lineWidth = 2 / this.zoom;
+            shortPath.forEach(component => {
+                const bounds = component.getBounds();
+                this.ctx.strokeRect(bounds.x - 1, bounds.y - 1, bounds.width + 2, bounds.height + 2);
+            });
+        }
+        
+        // Parts whose watch just paused the simulation
+        const breakpointParts = new Set(this.simulator.breakpointHits.flatMap(hit => hit.components));
+        if (breakpointParts.size > 0) {
+            this.ctx.strokeStyle = '#ff9f1c';
+            this.ctx.lineWidth = 3 / this.zoom;
+            breakpointParts.forEach(component => {
+                const bounds = component.getBounds();
+                this.ctx.strokeRect(bounds.x - 3, bounds.y - 3, bounds.width + 6, bounds.height + 6);
+            });
+        }
+        
+        // Everything on the net under the mouse
+        const net = this.hoveredCell && this.simulator.getNetlist().getNetAt(this.hoveredCell.x, this.hoveredCell.y);
+        if (net) {
+            this.drawNetHighlight(net);
+        }
+        
+        // DC readings of the part under the mouse, drawn on top
+        const reading = this.hoveredComponent && this.simulator.getReading(this.hoveredComponent);
+        if (reading) {
+            this.drawReading(this.hoveredComponent, reading);
+        }
+        
         // Restore transform
         this.restoreCanvas();
+        
+        // Waveforms of the probed parts
+        if (this.analyzerPanel) {
+            this.analyzerPanel.draw();
+        }
+    }
+    
+    // Shade a net's wires and mark the component pins on it
+    drawNetHighlight(net) {
+        const size = this.grid.gridSize;
+        
+        this.ctx.fillStyle = 'rgba(255, 217, 61, 0.25)';
+        net.wires.forEach(wire => this.ctx.fillRect(wire.x, wire.y, size, size));
+        
+        this.ctx.strokeStyle = '#ffd93d';
+        this.ctx.lineWidth = 2 / this.zoom;
+        net.pins.forEach(({ component, pin }) => {
+            const cell = component.getPins().find(candidate => candidate.name === pin);
+            this.ctx.strokeRect(cell.x * size + 3, cell.y * size + 3, size - 6, size - 6);
+        });
+    }
+    
+    // Draw a component's pin voltages and current in a box beside it
+    drawReading(component, reading) {
+        const lines = Object.entries(reading.pins)
+            .map(([pin, voltage]) => `${pin}: ${this.formatQuantity(voltage, 'V')}`);
+        if (reading.current !== null) {
+            lines.push(`I: ${this.formatQuantity(reading.current, 'A')}`);
+        }
+        if (component.type === 'battery' && component.capacity !== null) {
+            lines.push(`Q: ${Number(component.charge.toPrecision(3))} mAh`);
+        }
+        
+        const bounds = component.getBounds();
+        const lineHeight = 10;
+        const x = bounds.x + bounds.width + 4;
+        const y = bounds.y;
+        
+        this.ctx.save();
+        this.ctx.font = '8px monospace';
+        const width = Math.max(...lines.map(line => this.ctx.measureText(line).width)) + 8;
+        
+        this.ctx.fillStyle = 'rgba(22, 33, 62, 0.9)';
+        this.ctx.fillRect(x, y, width, lines.length * lineHeight + 6);
+        this.ctx.strokeStyle = '#533a7b';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(x, y, width, lines.length * lineHeight + 6);
+        
+        this.ctx.fillStyle = '#00ff41';
+        lines.forEach((line, i) => {
+            this.ctx.fillText(line, x + 4, y + 12 + i * lineHeight);
+        });
+        this.ctx.restore();
+    }
+    
+    // Format a value with a milli prefix when it's small, e.g. 0.027 A -> "27.2 mA"
+    formatQuantity(value, unit) {
+        if (value !== 0 && Math.abs(value) < 1) {
+            return `${(value * 1000).toFixed(1)} m${unit}`;
+        }
+        return `${value.toFixed(2)} ${unit}`;
     }
     
     // Draw ghost component
@@ -0,0 +1,109 @@
+// Watches and Breakpoints for CircuPlay - expressions over labelled parts,
+// evaluated every tick, that can pause the simulation when they fire
+//
+// A watch is an expression in the ExpressionParser syntax whose variables are
+// component labels, e.g. "out1" or "out1 & !carry". A lone label watches that
+// part's own level (0, 1, or Z/X for gates and wires); anything else is 0 or
+// 1, with every part counting as 1 only while it is high. A watch whose label
+// matches no part has the value null.
+
+const WATCH_PAUSE_MODES = ['none', 'true', 'change'];
+
+class WatchList {
+    constructor() {
+        this.watches = []; // { text, expression, labels, pauseOn, value }
+        this.error = null; // Why the last add() failed
+    }
+
+    // Watch an expression. pauseOn is 'none' to only watch it, 'true' to
+    // pause when it turns 1 or 'change' to pause whenever its value changes.
+    // Returns the watch, or null with error set if the text can't be read.
+    add(text, pauseOn = 'none') {
+        this.error = null;
+        if (!WATCH_PAUSE_MODES.includes(pauseOn)) {
+            this.error = `Unknown pause condition: ${pauseOn}`;
+            return null;
+        }
+
+        const parser = new ExpressionParser(text);
+        const expression = parser.parseExpression(text);
+        if (!expression) {
+            this.error = parser.error;
+            return null;
+        }
+
+        const watch = {
+            text: ExpressionParser.format(expression),
+            expression,
+            labels: ExpressionParser.variables(expression),
+            pauseOn,
+            value: undefined // Not evaluated yet
+        };
+        this.watches.push(watch);
+        return watch;
+    }
+
+    remove(watch) {
+        this.watches = this.watches.filter(existing => existing !== watch);
+    }
+
+    // Forget every watch's last value, e.g. when a new circuit is loaded
+    reset() {
+        this.watches.forEach(watch => {
+            watch.value = undefined;
+        });
+    }
+
+    // Re-evaluate every watch against the components. Returns the hits,
+    // { watch, from, to, components }, for watches whose pause condition
+    // was just met; components are the labelled parts the watch reads.
+    evaluate(components) {
+        if (this.watches.length === 0) return [];
+
+        const byLabel = new Map();
+        components.forEach(component => {
+            if (component.label && !byLabel.has(component.label)) {
+                byLabel.set(component.label, component);
+            }
+        });
+
+        const hits = [];
+        this.watches.forEach(watch => {
+            const previous = watch.value;
+            watch.value = WatchList.valueOf(watch, byLabel);
+
+            // Nothing fires on the first evaluation, or while a label is missing
+            if (previous === undefined || previous === null || watch.value === null || previous === watch.value) return;
+
+            if (watch.pauseOn === 'change' || (watch.pauseOn === 'true' && watch.value === '1')) {
+                hits.push({
+                    watch,
+                    from: previous,
+                    to: watch.value,
+                    components: watch.labels.map(label => byLabel.get(label))
+                });
+            }
+        });
+        return hits;
+    }
+
+    // A watch's value ('0', '1', 'Z' or 'X') for components by label, or null
+    static valueOf(watch, byLabel) {
+        if (!watch.labels.every(label => byLabel.has(label))) return null;
+
+        if (watch.expression.op === 'var') {
+            return LogicAnalyzer.sample(byLabel.get(watch.expression.name));
+        }
+
+        const values = {};
+        watch.labels.forEach(label => {
+            values[label] = LogicAnalyzer.sample(byLabel.get(label)) === '1' ? 1 : 0;
+        });
+        return String(ExpressionParser.evaluate(watch.expression, values));
+    }
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WatchList, WATCH_PAUSE_MODES };
+}
@@ -0,0 +1,343 @@
+// Simulation Worker Client for CircuPlay - runs a circuit's ticks in a Web
+// Worker (simulation-worker.js) and mirrors the results onto the components
+// the editor draws, so big circuits don't hold up dragging and zooming
+//
+// The page stays in charge of the layout and of what the user changes: each
+// edit is sent to the worker, a new layout as a whole circuit (the parts it
+// keeps carry on from their running state in the worker). Labels are the
+// page's alone, so the worker never sends them back. The worker answers with
+// what changed on every tick, keyed by grid position, which is applied tick
+// by tick so the logic analyzer and watches see every one. Scheduled tasks
+// (e.g. a starter circuit's toggling switch) hold on to the page's components,
+// so the page runs them, and the worker waits for their edits on the tick
+// before each one is due.
+// Worker timers aren't tied to animation frames, so the circuit keeps its
+// pace while the tab is in the background.
+
+class SimulationWorkerClient {
+    constructor(worker) {
+        this.worker = worker;
+        this.simulator = null;
+        this.revision = null; // Grid revision last sent to the worker
+        this.settings = null; // Settings last sent, as JSON
+        this.generation = 0; // Bumped with each layout sent, so ticks of an older one are dropped
+        this.applying = false; // Applying the worker's changes (so they aren't sent back)
+        this.rewinding = false; // Waiting for the worker to rewind (ticks it sent before are dropped)
+        this.known = new Map(); // Component -> { properties, state } the worker was last known to have
+        this.rewindRange = null; // Ticks the worker can rewind to ({ first, last }), or null
+
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => this.handleError(e);
+    }
+
+    // Start running a simulator's circuit in the worker
+    attach(simulator) {
+        this.simulator = simulator;
+        simulator.worker = this;
+        this.revision = null;
+        this.settings = null;
+        this.update();
+    }
+
+    // Go back to ticking on the main thread
+    detach() {
+        if (!this.simulator) return;
+
+        this.worker.terminate();
+        this.simulator.worker = null;
+        this.simulator.lastUpdate = Date.now();
+        this.simulator.invalidateAll();
+        this.simulator = null;
+    }
+
+    post(message) {
+        this.worker.postMessage({ ...message, generation: this.generation });
+    }
+
+    // Send the layout if it changed, and the settings if they did. Called
+    // every frame.
+    update() {
+        const simulator = this.simulator;
+        if (simulator.grid.revision !== this.revision) {
+            this.revision = simulator.grid.revision;
+            this.generation++;
+            // Each part goes with its id, so the worker can tell which of its
+            // running parts are still there
+            const data = simulator.exportCircuit();
+            data.components.forEach(entry => {
+                entry.id = simulator.grid.getComponent(entry.x, entry.y).id;
+            });
+            this.post({
+                type: 'load',
+                data,
+                cols: simulator.grid.cols,
+                rows: simulator.grid.rows,
+                tick: simulator.clock.tick
+            });
+            this.settings = null;
+            this.known.clear();
+            simulator.components.forEach(component => this.remember(component));
+        }
+
+        const settings = JSON.stringify({
+            paused: simulator.paused,
+            speed: simulator.speed,
+            realistic: simulator.realistic,
+            mode: simulator.mode,
+            gateDelays: simulator.gateDelays,
+            watches: simulator.watches.watches.map(watch => ({ text: watch.text, pauseOn: watch.pauseOn })),
+            probes: simulator.analyzer.probes.map(probe => probe.component.id),
+            taskTick: SimulationWorkerClient.nextTaskTick(simulator)
+        });
+        if (settings !== this.settings) {
+            this.settings = settings;
+            this.post({ type: 'settings', settings: JSON.parse(settings) });
+        }
+    }
+
+    step() {
+        this.update();
+        this.post({ type: 'step' });
+    }
+
+    // Rewind the worker's simulation, paused. It answers with every
+    // component as it was at that tick. Returns false if that tick isn't kept.
+    rewind(tick) {
+        const range = this.rewindRange;
+        if (!range || tick < range.first || tick > range.last) {
+            console.warn(`No simulation state kept for tick ${tick}`);
+            return false;
+        }
+
+        this.simulator.paused = true;
+        this.update();
+        this.rewinding = true;
+        this.post({ type: 'rewind', tick });
+        return true;
+    }
+
+    // A component was changed on the page, e.g. a switch clicked. Only the
+    // values the edit changed are sent: the page's copy of the rest is a tick
+    // or more behind the worker's.
+    componentChanged(component) {
+        if (this.applying) return;
+
+        const known = this.known.get(component) || { properties: {}, state: {} };
+        const properties = SimulationWorkerClient.changedValues(known.properties, component.getProperties());
+        const state = SimulationWorkerClient.changedValues(known.state, component.getState());
+        if (Object.keys(properties).length === 0 && Object.keys(state).length === 0) return;
+
+        this.post({ type: 'update', id: component.id, x: component.gridX, y: component.gridY, properties, state });
+        this.remember(component);
+    }
+
+    // Note a component's values as the worker has them now
+    remember(component) {
+        this.known.set(component, { properties: component.getProperties(), state: component.getState() });
+    }
+
+    handleMessage(message) {
+        if (!this.simulator || message.generation !== this.generation) return;
+
+        if (message.type === 'ticks' && !this.rewinding) {
+            message.ticks.forEach(tick => this.applyTick(tick));
+            this.applyReports(message);
+            this.applyEvents(message);
+        } else if (message.type === 'rewound') {
+            this.rewinding = false;
+            this.applyChanges(message.tick, message.changes);
+            this.simulator.analyzer.rewind(message.tick);
+            this.simulator.breakpointHits = [];
+            this.applyReports(message);
+            this.applyEvents(message);
+
+            // Tasks come round again as they did the first time
+            const now = this.simulator.clock.now();
+            this.simulator.scheduledTasks.forEach(task => {
+                while (task.nextTime - task.period > now) task.nextTime -= task.period;
+            });
+            this.runTasksAfter(message.tick);
+        }
+    }
+
+    // Changes from one tick, then what the page still does per tick (the
+    // worker records the logic analyzer, watches and rewind buffer)
+    applyTick({ tick, changes }) {
+        const simulator = this.simulator;
+        this.applyChanges(tick, changes);
+
+        // Buzzers only make their sound here, on the page (the time they last
+        // sounded isn't an edit for the worker)
+        simulator.timedComponents.forEach(component => {
+            if (component.type === 'buzzer') {
+                component.update(simulator.clock.now());
+                this.remember(component);
+            }
+        });
+
+        simulator.analyzer.lastTick = tick;
+        simulator.breakpointHits = [];
+        this.runTasksAfter(tick);
+    }
+
+    // Run the scheduled tasks due on the tick after this one, with the clock
+    // at that tick, and let the worker (waiting on this tick) go on with
+    // their edits
+    runTasksAfter(tick) {
+        const simulator = this.simulator;
+        const due = SimulationWorkerClient.nextTaskTick(simulator);
+        if (due === null || due > tick + 1) return;
+
+        simulator.clock.tick = tick + 1;
+        simulator.clock.time = simulator.clock.tick * simulator.clock.tickDuration;
+        simulator.runScheduledTasks();
+        simulator.clock.tick = tick;
+        simulator.clock.time = tick * simulator.clock.tickDuration;
+        this.update();
+    }
+
+    // Move the clock to a tick and mirror the worker's changes at it
+    applyChanges(tick, changes) {
+        const simulator = this.simulator;
+        simulator.clock.tick = tick;
+        simulator.clock.time = tick * simulator.clock.tickDuration;
+
+        this.applying = true;
+        changes.forEach(({ x, y, snapshot }) => {
+            const component = simulator.grid.getComponent(x, y);
+            if (!component) return;
+
+            // An LED burning out puffs smoke here too
+            if (snapshot.properties.burnedOut && !component.burnedOut) {
+                component.burnOut();
+                if (simulator.onBurnOut) simulator.onBurnOut(component);
+            }
+            const ranFlat = snapshot.properties.charge === 0 && component.charge > 0;
+            SimulationWorkerClient.applySnapshot(component, snapshot, simulator);
+            this.remember(component);
+            if (ranFlat && simulator.onBatteryEmpty) simulator.onBatteryEmpty(component);
+        });
+        this.applying = false;
+    }
+
+    // Watch values, probe recordings and the rewind range the worker has
+    // after a batch of ticks
+    applyReports({ watchValues, probes, rewindRange }) {
+        const simulator = this.simulator;
+        if (rewindRange !== undefined) {
+            this.rewindRange = rewindRange;
+        }
+
+        // Only while the page's watches are still the ones the worker evaluated
+        if (watchValues && watchValues.length === simulator.watches.watches.length) {
+            simulator.watches.watches.forEach((watch, i) => {
+                watch.value = watchValues[i];
+            });
+        }
+
+        if (probes) {
+            probes.forEach(({ id, changes }) => {
+                const probe = simulator.analyzer.probes.find(candidate => candidate.component.id === id);
+                if (probe) simulator.analyzer.addChanges(probe, changes);
+            });
+        }
+    }
+
+    // Oscillations, short circuits and breakpoints reported with a batch of ticks
+    applyEvents({ oscillating, shortCircuits, breakpoint }) {
+        const simulator = this.simulator;
+        const at = ({ x, y }) => simulator.grid.getComponent(x, y);
+
+        if (oscillating && simulator.onOscillation) {
+            simulator.onOscillation(oscillating.map(at).filter(Boolean));
+        }
+
+        if (shortCircuits) {
+            simulator.shortCircuits.clear();
+            shortCircuits.forEach(short => {
+                const sources = short.sources.map(at);
+                if (sources.every(Boolean)) {
+                    simulator.shortCircuits.set(sources[0], {
+                        message: short.message,
+                        sources,
+                        path: short.path.map(at).filter(Boolean)
+                    });
+                }
+            });
+            if (simulator.onShortCircuit) {
+                simulator.onShortCircuit(simulator.getShortCircuits());
+            }
+        }
+
+        if (breakpoint) {
+            simulator.paused = true;
+            simulator.breakpointHits = breakpoint.map(hit => ({
+                watch: simulator.watches.watches[hit.index],
+                from: hit.from,
+                to: hit.to,
+                components: hit.components.map(at).filter(Boolean)
+            })).filter(hit => hit.watch);
+            if (simulator.onBreakpoint && simulator.breakpointHits.length > 0) {
+                simulator.onBreakpoint(simulator.breakpointHits);
+            }
+        }
+    }
+
+    // First tick a simulator's scheduled task is due on, or null if it has none
+    static nextTaskTick(simulator) {
+        if (simulator.scheduledTasks.length === 0) return null;
+        const next = Math.min(...simulator.scheduledTasks.map(task => task.nextTime));
+        return Math.ceil(next / simulator.clock.tickDuration);
+    }
+
+    // The values in after that differ from those in before
+    static changedValues(before, after) {
+        const changed = {};
+        Object.keys(after).forEach(key => {
+            if (JSON.stringify(after[key]) !== JSON.stringify(before[key])) {
+                changed[key] = after[key];
+            }
+        });
+        return changed;
+    }
+
+    // The worker failed (e.g. scripts it couldn't load): carry on without it
+    handleError(e) {
+        console.warn('Simulation worker failed, simulating on the main thread:', e.message || e);
+        if (e.preventDefault) e.preventDefault();
+        this.detach();
+    }
+
+    // What the page needs to mirror a worker's component: its properties,
+    // its runtime state and (in DC mode) its reading. The label is left out,
+    // as only the page edits it.
+    static snapshot(component, simulator) {
+        const properties = component.getProperties();
+        delete properties.label;
+        return {
+            properties,
+            state: component.getState(),
+            reading: simulator ? simulator.getReading(component) : null
+        };
+    }
+
+    // Mirror a worker's snapshot onto a page component. The simulator, if
+    // given, takes the reading.
+    static applySnapshot(component, { properties, state, reading }, simulator) {
+        component.setProperties(properties);
+        component.setState(state);
+
+        if (simulator) {
+            if (reading) {
+                simulator.readings.set(component, reading);
+            } else {
+                simulator.readings.delete(component);
+            }
+        }
+    }
+}
+
+// Export for Node.js (headless simulation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationWorkerClient };
+}
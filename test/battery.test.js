@@ -0,0 +1,58 @@
+// Battery capacity (user-024): a battery with a capacity runs down by the
+// current it supplies and goes flat
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator } = require('../js/headless.js');
+const { componentAt, ledAt, reload } = require('./helpers.js');
+
+// The simple circuit, its battery holding 1 mAh
+function buildCircuit() {
+    const simulator = createSimulator();
+    simulator.createSimpleCircuit();
+    const battery = componentAt(simulator, 0, 0, 'battery');
+    battery.setCapacity(1);
+    return { simulator, battery };
+}
+
+test('an LED runs a 1 mAh battery flat in 1800 ticks', () => {
+    const { simulator, battery } = buildCircuit();
+    const empty = [];
+    simulator.onBatteryEmpty = flat => empty.push(simulator.clock.tick);
+
+    simulator.runTicks(900);
+    assert.ok(Math.abs(battery.getChargeLevel() - 0.5) < 0.01);
+    assert.equal(ledAt(simulator, 2, 0), true);
+
+    simulator.runTicks(1000);
+    assert.equal(empty.length, 1);
+    assert.ok(Math.abs(empty[0] - 1800) <= 2, `flat at tick ${empty[0]}`);
+    assert.equal(battery.getChargeLevel(), 0);
+    assert.equal(ledAt(simulator, 2, 0), false);
+
+    battery.recharge();
+    simulator.runTicks(2);
+    assert.equal(ledAt(simulator, 2, 0), true);
+});
+
+test('capacity and charge are saved with the circuit', () => {
+    const { simulator, battery } = buildCircuit();
+    simulator.runTicks(900);
+
+    const loaded = reload(simulator);
+    const copy = componentAt(loaded, 0, 0, 'battery');
+    assert.equal(copy.capacity, 1);
+    assert.equal(copy.charge, battery.charge);
+    loaded.runTicks(1000);
+    assert.equal(ledAt(loaded, 2, 0), false);
+});
+
+test('a property change notifies with the new capacity', () => {
+    const { battery } = buildCircuit();
+    const seen = [];
+    battery.onStateChange = changed => seen.push([changed.capacity, changed.charge, changed.powered]);
+
+    battery.setProperties({ capacity: 5 });
+    battery.setProperties({ charge: 0 });
+    assert.deepEqual(seen, [[5, 5, true], [5, 0, false]]);
+});
@@ -0,0 +1,71 @@
+// DC analysis (user-009): node voltages and branch currents solved after the
+// logic pass, with LEDs burning out past their maximum current
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator } = require('../js/headless.js');
+const { reload } = require('./helpers.js');
+
+// Battery, resistor and red LED in a row, returning through a Ground
+function buildCircuit(resistance = 100) {
+    const simulator = createSimulator(8, 4);
+    const battery = simulator.addComponentAt('battery', 0, 0);
+    const resistor = simulator.addComponentAt('resistor', 1, 0);
+    resistor.resistance = resistance;
+    const led = simulator.addComponentAt('led', 2, 0);
+    simulator.rotateComponent(simulator.addComponentAt('ground', 3, 0), 270);
+    simulator.setMode('dc');
+    return { simulator, battery, resistor, led };
+}
+
+test('a series loop solves to the same current through every part', () => {
+    const { simulator, battery, resistor, led } = buildCircuit();
+    simulator.updateCircuit();
+
+    const reading = simulator.getReading(led);
+    assert.ok(Math.abs(reading.pins.anode - 2.27) < 0.01, `anode at ${reading.pins.anode} V`);
+    assert.equal(reading.pins.cathode, 0);
+    assert.ok(Math.abs(reading.current - 0.0272) < 0.0001, `${reading.current} A`);
+
+    // The resistor drops the rest of the battery's 5 V
+    const across = simulator.getReading(resistor);
+    assert.ok(Math.abs((across.pins.a - across.pins.b) / across.current - 100) < 0.01);
+    [resistor, battery].forEach(part => {
+        assert.ok(Math.abs(simulator.getReading(part).current - reading.current) < 1e-6, part.type);
+    });
+    assert.equal(led.powered, true);
+});
+
+test('without a return path no current flows', () => {
+    const simulator = createSimulator(8, 4);
+    simulator.addComponentAt('battery', 0, 0);
+    simulator.addComponentAt('resistor', 1, 0);
+    const led = simulator.addComponentAt('led', 2, 0);
+    simulator.setMode('dc');
+    simulator.updateCircuit();
+
+    assert.ok(simulator.getReading(led).current < simulator.minimumCurrent);
+    assert.equal(led.powered, false);
+});
+
+test('an LED pushed past its maximum current burns out and stays out', () => {
+    const { simulator, led } = buildCircuit(10);
+    const burnt = [];
+    simulator.onBurnOut = part => burnt.push(part);
+    simulator.runTicks(2);
+
+    assert.deepEqual(burnt, [led]);
+    assert.equal(led.burnedOut, true);
+    assert.equal(led.powered, false);
+    assert.equal(reload(simulator).grid.getComponent(2, 0).burnedOut, true);
+});
+
+test('logic mode keeps no readings', () => {
+    const { simulator, led } = buildCircuit();
+    simulator.updateCircuit();
+    simulator.setMode('logic');
+    simulator.updateCircuit();
+
+    assert.equal(simulator.getReading(led), null);
+    assert.equal(led.powered, true);
+});
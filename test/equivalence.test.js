@@ -0,0 +1,51 @@
+// Equivalence checking (user-019): every combination proves circuits
+// equivalent; a seeded random sample only looks for differences
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator, EquivalenceChecker } = require('../js/headless.js');
+const { MAX_EXHAUSTIVE_INPUTS } = require('../js/equivalence.js');
+
+// Switches I0.. each lighting an LED, named O0.. unless swapped (O0 and O1
+// then trade places)
+function buildCircuit(inputs, swapped = false) {
+    const simulator = createSimulator(4, inputs * 2);
+    for (let i = 0; i < inputs; i++) {
+        simulator.addComponentAt('battery', 0, i * 2);
+        simulator.addComponentAt('switch', 1, i * 2).label = `I${i}`;
+        simulator.addComponentAt('led', 2, i * 2).label = `O${swapped && i < 2 ? 1 - i : i}`;
+    }
+    return simulator.exportCircuit();
+}
+
+test('trying every combination proves circuits equivalent', () => {
+    const result = new EquivalenceChecker(buildCircuit(3), buildCircuit(3)).check();
+    assert.deepEqual(result, { equivalent: true, exhaustive: true, checked: 8, seed: null, counterexample: null });
+});
+
+test('a counterexample shows the outputs that differ', () => {
+    const result = new EquivalenceChecker(buildCircuit(3), buildCircuit(3, true)).check();
+    assert.equal(result.equivalent, false);
+    const { inputs, outputs } = result.counterexample;
+    assert.notEqual(inputs.I0, inputs.I1);
+    assert.deepEqual(outputs, { O0: [inputs.I0, inputs.I1], O1: [inputs.I1, inputs.I0] });
+});
+
+test('a sampled pass is not reported as equivalent', () => {
+    const inputs = MAX_EXHAUSTIVE_INPUTS + 1;
+    const result = new EquivalenceChecker(buildCircuit(inputs), buildCircuit(inputs), { seed: 42 }).check();
+    assert.equal(result.equivalent, null);
+    assert.equal(result.exhaustive, false);
+    assert.equal(result.seed, 42);
+    assert.equal(result.counterexample, null);
+});
+
+test('a sample is repeatable from its seed', () => {
+    const inputs = MAX_EXHAUSTIVE_INPUTS + 1;
+    const check = seed => new EquivalenceChecker(buildCircuit(inputs), buildCircuit(inputs, true), { seed }).check();
+
+    const first = check();
+    assert.equal(first.equivalent, false);
+    assert.equal(typeof first.seed, 'number');
+    assert.deepEqual(check(first.seed), first);
+});
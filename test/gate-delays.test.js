@@ -0,0 +1,71 @@
+// Propagation delay (user-013): gates can take ticks to follow their inputs,
+// per gate or per type, and every change gets through however short
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator } = require('../js/headless.js');
+const { componentAt, setSwitch, reload } = require('./helpers.js');
+
+// A switch with a pull-down feeding the NOT gate at (3, 2), its signal also
+// wired round to input a of the AND gate at (6, 2), whose input b is the NOT
+// gate's output
+function buildCircuit() {
+    const simulator = createSimulator(10, 8);
+    simulator.addComponentAt('battery', 0, 2);
+    simulator.addComponentAt('switch', 1, 2);
+    simulator.addWirePath([[2, 2], [2, 1], [3, 1], [4, 1], [5, 1], [5, 2]]);
+    simulator.addPullDown(2, 2, 0, 1);
+    const not = simulator.addComponentAt('not-gate', 3, 2);
+    simulator.addWirePath([[4, 3], [4, 4], [5, 4]]);
+    const and = simulator.addComponentAt('and-gate', 6, 2);
+    simulator.runTicks(5);
+    return { simulator, not, and };
+}
+
+// A gate's output on each of the next few ticks after the switch is set
+function traceAfterSwitch(simulator, gate, closed, ticks = 5) {
+    setSwitch(simulator, 1, 2, closed);
+    const trace = [];
+    for (let i = 0; i < ticks; i++) {
+        simulator.step();
+        trace.push(gate.signal);
+    }
+    return trace.join('');
+}
+
+test('without a delay a gate switches within the tick', () => {
+    const { simulator, not } = buildCircuit();
+    assert.equal(traceAfterSwitch(simulator, not, 1), '00000');
+});
+
+test('a delayed gate follows its inputs that many ticks later', () => {
+    const { simulator, not } = buildCircuit();
+    not.delay = 3;
+    assert.equal(simulator.getGateDelay(not), 3);
+    assert.equal(traceAfterSwitch(simulator, not, 1), '11100');
+    assert.equal(traceAfterSwitch(simulator, not, 0), '00011');
+});
+
+test('a type delay applies to gates without their own', () => {
+    const { simulator, not, and } = buildCircuit();
+    simulator.setGateDelay('not-gate', 2);
+    assert.equal(simulator.getGateDelay(not), 2);
+    assert.equal(simulator.getGateDelay(and), 0);
+    assert.equal(traceAfterSwitch(simulator, not, 1), '11000');
+
+    not.delay = 1;
+    assert.equal(traceAfterSwitch(simulator, not, 0), '01111');
+});
+
+test('a signal ANDed with its delayed inverse glitches as it rises', () => {
+    const { simulator, not, and } = buildCircuit();
+    not.delay = 2;
+    assert.equal(traceAfterSwitch(simulator, and, 1), '11000');
+    assert.equal(traceAfterSwitch(simulator, and, 0), '00000');
+});
+
+test('a gate keeps its delay when saved', () => {
+    const { simulator, not } = buildCircuit();
+    not.delay = 4;
+    assert.equal(componentAt(reload(simulator), 3, 2, 'not-gate').delay, 4);
+});
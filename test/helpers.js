@@ -0,0 +1,29 @@
+// Shared helpers for the headless tests
+
+const assert = require('node:assert/strict');
+const { loadCircuit } = require('../js/headless.js');
+
+// The component at a grid cell, which has to be of a type
+function componentAt(simulator, x, y, type) {
+    const component = simulator.grid.getComponent(x, y);
+    assert.equal(component?.type, type, `no ${type} at (${x}, ${y})`);
+    return component;
+}
+
+// Whether the LED at a grid cell is lit
+function ledAt(simulator, x, y) {
+    return componentAt(simulator, x, y, 'led').powered;
+}
+
+// Close (1) or open (0) the switch at a grid cell
+function setSwitch(simulator, x, y, closed) {
+    componentAt(simulator, x, y, 'switch').setClosed(Boolean(closed));
+}
+
+// The circuit saved the way the storage manager does, and loaded again
+function reload(simulator) {
+    const saved = JSON.stringify({ name: 'test', data: simulator.exportCircuit(), version: '1.0' });
+    return loadCircuit(JSON.parse(saved));
+}
+
+module.exports = { componentAt, ledAt, setSwitch, reload };
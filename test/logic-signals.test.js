@@ -0,0 +1,63 @@
+// Logic signals (user-012): every net is 0, 1, Z (floating) or X (unknown),
+// and gates only decide an output the unknowns can't change
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator } = require('../js/headless.js');
+const { setSwitch } = require('./helpers.js');
+
+// A gate whose input a comes from a switched battery and whose input b is a
+// bare wire, with a wire on its output
+function buildGate(type) {
+    const simulator = createSimulator(8, 6);
+    simulator.addComponentAt('battery', 0, 0);
+    simulator.addComponentAt('switch', 1, 0);
+    const gate = simulator.addComponentAt(type, 2, 0);
+    const output = simulator.addComponentAt('wire', 3, 1);
+    const inputB = simulator.addComponentAt('wire', 1, 2);
+    return { simulator, gate, output, inputB };
+}
+
+test('floating inputs make a gate output unknown', () => {
+    const { simulator, gate, output, inputB } = buildGate('and-gate');
+    simulator.runTicks(2);
+    assert.equal(inputB.signal, 'Z');
+    assert.equal(gate.signal, 'X');
+    assert.equal(output.signal, 'X');
+
+    // A high input doesn't decide an AND gate
+    setSwitch(simulator, 1, 0, 1);
+    simulator.runTicks(2);
+    assert.equal(gate.signal, 'X');
+});
+
+test('a pull-down holds a floating input low', () => {
+    const { simulator, gate, output, inputB } = buildGate('and-gate');
+    simulator.addPullDown(1, 2, 0, 1);
+    setSwitch(simulator, 1, 0, 1);
+    simulator.runTicks(2);
+
+    assert.equal(inputB.signal, '0');
+    assert.equal(gate.signal, '0');
+    assert.equal(output.signal, '0');
+});
+
+test('an input that decides the output wins over an unknown one', () => {
+    const { simulator, gate } = buildGate('or-gate');
+    simulator.runTicks(2);
+    assert.equal(gate.signal, 'X');
+
+    setSwitch(simulator, 1, 0, 1);
+    simulator.runTicks(2);
+    assert.equal(gate.signal, '1');
+});
+
+test('a net driven both high and low is unknown', () => {
+    const simulator = createSimulator(8, 4);
+    simulator.addComponentAt('battery', 0, 0);
+    const wire = simulator.addComponentAt('wire', 1, 0);
+    simulator.rotateComponent(simulator.addComponentAt('ground', 2, 0), 270);
+    simulator.runTicks(2);
+
+    assert.equal(wire.signal, 'X');
+});
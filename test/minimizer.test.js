@@ -0,0 +1,81 @@
+// Minimization (user-018): Quine-McCluskey minimal sums of products and
+// Karnaugh map layouts
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BooleanMinimizer, ExpressionParser, TruthTable } = require('../js/headless.js');
+
+// Whether an implicant covers a combination of input bits
+function covers({ value, mask }, combination) {
+    return (combination & ~mask) === (value & ~mask);
+}
+
+// Check implicants cover every minterm, nothing outside the minterms and
+// don't-cares, and that their expression says the same
+function checkCover(variables, implicants, minterms, dontCares = []) {
+    const names = Array.from({ length: variables }, (_, i) => `V${i}`);
+    const expression = BooleanMinimizer.toExpression(names, implicants);
+    for (let combination = 0; combination < 2 ** variables; combination++) {
+        const covered = implicants.some(implicant => covers(implicant, combination));
+        if (minterms.includes(combination)) {
+            assert.ok(covered, `minterm ${combination} not covered`);
+        } else if (!dontCares.includes(combination)) {
+            assert.ok(!covered, `${combination} covered but not a minterm`);
+        }
+        if (!dontCares.includes(combination)) {
+            const values = Object.fromEntries(TruthTable.bitsOf(combination, variables).map((bit, i) => [names[i], bit]));
+            assert.equal(ExpressionParser.evaluate(expression, values), covered ? 1 : 0);
+        }
+    }
+}
+
+test('a function minimizes to its fewest terms', () => {
+    const implicants = BooleanMinimizer.minimize(3, [0, 2, 4, 6, 7], []);
+    assert.deepEqual(implicants.map(implicant => BooleanMinimizer.format(implicant, 3)).sort(), ['--0', '11-']);
+    checkCover(3, implicants, [0, 2, 4, 6, 7]);
+
+    // A cyclic cover, with no essential implicants, still needs only three
+    const cyclic = BooleanMinimizer.minimize(3, [0, 1, 2, 5, 6, 7], []);
+    assert.equal(cyclic.length, 3);
+    checkCover(3, cyclic, [0, 1, 2, 5, 6, 7]);
+});
+
+test("don't-cares are used only where they save terms", () => {
+    const minterms = [1, 3, 7, 11, 15];
+    const dontCares = [0, 2, 5];
+    const implicants = BooleanMinimizer.minimize(4, minterms, dontCares);
+    assert.equal(implicants.length, 2);
+    checkCover(4, implicants, minterms, dontCares);
+});
+
+test('constant functions', () => {
+    assert.deepEqual(BooleanMinimizer.minimize(2, [], []), []);
+    assert.deepEqual(BooleanMinimizer.minimize(2, [0, 1, 2, 3], []), [{ value: 0, mask: 3 }]);
+});
+
+test('outputs that never settled are don\'t-cares', () => {
+    const table = new TruthTable(['A', 'B'], ['Y'], [
+        { inputs: [0, 0], outputs: [0] },
+        { inputs: [0, 1], outputs: ['X'] },
+        { inputs: [1, 0], outputs: [1] },
+        { inputs: [1, 1], outputs: [1] }
+    ]);
+    assert.deepEqual(BooleanMinimizer.fromTruthTable(table, 0), { minterms: [2, 3], dontCares: [1] });
+});
+
+test('Karnaugh maps are Gray-coded', () => {
+    const layout = BooleanMinimizer.karnaughLayout(['A', 'B', 'C']);
+    assert.deepEqual(layout.rowVariables, ['A']);
+    assert.deepEqual(layout.columnVariables, ['B', 'C']);
+    assert.deepEqual(layout.columnLabels, ['00', '01', '11', '10']);
+    assert.deepEqual(layout.maps[0].cells, [[0, 1, 3, 2], [4, 5, 7, 6]]);
+
+    // Neighbouring cells, wrapping round, differ in one input
+    const oneBit = (a, b) => [1, 2, 4, 8, 16, 32].includes(a ^ b);
+    BooleanMinimizer.karnaughLayout(['A', 'B', 'C', 'D']).maps[0].cells.forEach((row, r, rows) => {
+        row.forEach((cell, c) => {
+            assert.ok(oneBit(cell, row[(c + 1) % row.length]));
+            assert.ok(oneBit(cell, rows[(r + 1) % rows.length][c]));
+        });
+    });
+});
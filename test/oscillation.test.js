@@ -0,0 +1,46 @@
+// Oscillation reports (user-004): a feedback loop that never settles is
+// reported once, and again only after it has settled and started over
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator } = require('../js/headless.js');
+const { setSwitch } = require('./helpers.js');
+
+// A NAND gate fed back into itself, enabled by the switch at (1, 2)
+function buildRing() {
+    const simulator = createSimulator(8, 8);
+    simulator.addComponentAt('battery', 0, 2);
+    simulator.addComponentAt('switch', 1, 2);
+    simulator.addWirePath([[2, 2]]);
+    simulator.addPullDown(2, 2, 0, -1);
+    const gate = simulator.addComponentAt('nand-gate', 3, 2);
+    simulator.addWirePath([[4, 3], [4, 4], [4, 5], [3, 5], [2, 5], [2, 4]]);
+    return { simulator, gate };
+}
+
+test('an oscillating loop is reported once when it crosses the threshold', () => {
+    const { simulator, gate } = buildRing();
+    const reports = [];
+    simulator.onOscillation = gates => reports.push(gates);
+
+    setSwitch(simulator, 1, 2, 1);
+    simulator.runTicks(simulator.oscillationThreshold * 5);
+    assert.deepEqual(reports, [[gate]]);
+});
+
+test('a loop that settles and oscillates again is reported again', () => {
+    const { simulator } = buildRing();
+    let reports = 0;
+    simulator.onOscillation = () => reports++;
+    const run = () => simulator.runTicks(simulator.oscillationThreshold * 2);
+
+    setSwitch(simulator, 1, 2, 1);
+    run();
+    setSwitch(simulator, 1, 2, 0);
+    run();
+    assert.equal(reports, 1);
+
+    setSwitch(simulator, 1, 2, 1);
+    run();
+    assert.equal(reports, 2);
+});
@@ -0,0 +1,102 @@
+// Rewind (user-023): the simulation winds back to any tick kept and runs on
+// from there the same way it did the first time
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator } = require('../js/headless.js');
+const { setSwitch } = require('./helpers.js');
+
+// Every component's state, as plain values
+function statesOf(simulator) {
+    return simulator.components.map(component => JSON.stringify(component.getState()));
+}
+
+// Run the SR flip-flop, setting and resetting it, noting the states on each tick
+function runFlipFlop(simulator, states) {
+    [[1, 0], [0, 0], [0, 1], [0, 0]].forEach(([set, reset]) => {
+        setSwitch(simulator, 8, 4, set);
+        setSwitch(simulator, 4, 2, reset);
+        for (let i = 0; i < 5; i++) {
+            simulator.step();
+            states.set(simulator.clock.tick, statesOf(simulator));
+        }
+    });
+}
+
+test('rewinding puts back every component as it was on that tick', () => {
+    const simulator = createSimulator();
+    simulator.createSRFlipFlop();
+    const states = new Map();
+    runFlipFlop(simulator, states);
+
+    const range = simulator.getRewindRange();
+    assert.deepEqual(range, { first: 1, last: 20 });
+    [20, 3, 12, 1, 7].forEach(tick => {
+        assert.equal(simulator.rewindTo(tick), true);
+        assert.equal(simulator.clock.tick, tick);
+        assert.deepEqual(statesOf(simulator), states.get(tick), `tick ${tick}`);
+    });
+    assert.equal(simulator.paused, true);
+});
+
+test('after a rewind the simulation runs on as it did the first time', () => {
+    const simulator = createSimulator();
+    simulator.createBlinkingLED();
+    const states = new Map();
+    for (let i = 0; i < 40; i++) {
+        simulator.step();
+        states.set(simulator.clock.tick, statesOf(simulator));
+    }
+
+    simulator.rewindTo(15);
+    for (let tick = 16; tick <= 40; tick++) {
+        simulator.step();
+        assert.deepEqual(statesOf(simulator), states.get(tick), `tick ${tick}`);
+    }
+
+    // Winding back again reaches the ticks recorded the second time round
+    simulator.rewindTo(30);
+    assert.deepEqual(statesOf(simulator), states.get(30));
+});
+
+test('a tick that is not kept cannot be rewound to', () => {
+    const simulator = createSimulator();
+    simulator.createSimpleCircuit();
+    simulator.rewindBuffer.maxTicks = 10;
+    simulator.runTicks(25);
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.deepEqual(simulator.getRewindRange(), { first: 16, last: 25 });
+        assert.equal(simulator.rewindTo(15), false);
+        assert.equal(simulator.clock.tick, 25);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('an idle tick keeps nothing for components that did not change', () => {
+    const simulator = createSimulator(40, 30);
+    for (let y = 0; y < 30; y += 2) {
+        simulator.addComponentAt('battery', 0, y);
+        for (let x = 1; x < 40; x++) {
+            simulator.addComponentAt('wire', x, y);
+        }
+    }
+    simulator.runTicks(5);
+
+    let captured = 0;
+    simulator.components.forEach(component => {
+        const getState = component.getState.bind(component);
+        component.getState = () => {
+            captured++;
+            return getState();
+        };
+    });
+    simulator.runTicks(5);
+
+    assert.equal(captured, 0);
+    assert.equal(simulator.rewindBuffer.snapshots[simulator.rewindBuffer.snapshots.length - 1].undo.size, 0);
+    assert.equal(simulator.rewindTo(3), true);
+});
@@ -0,0 +1,64 @@
+// Short circuits (user-011): zero-resistance faults between batteries and
+// the common return are found and traced along the parts making them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator } = require('../js/headless.js');
+
+// A battery whose + terminal reaches a Ground through a switch
+function buildCircuit() {
+    const simulator = createSimulator(8, 4);
+    simulator.addComponentAt('battery', 0, 0);
+    const switchPart = simulator.addComponentAt('switch', 1, 0);
+    simulator.rotateComponent(simulator.addComponentAt('ground', 2, 0), 270);
+    return { simulator, switchPart };
+}
+
+test('closing a switch across a battery reports a short along its path', () => {
+    const { simulator, switchPart } = buildCircuit();
+    const reported = [];
+    simulator.onShortCircuit = shorts => reported.push(shorts.length);
+    simulator.runTicks(2);
+    assert.deepEqual(simulator.getShortCircuits(), []);
+
+    switchPart.setClosed(true);
+    simulator.runTicks(2);
+    const [short] = simulator.getShortCircuits();
+    assert.equal(short.kind, 'short');
+    assert.deepEqual(short.sources.map(part => part.type), ['battery']);
+    assert.deepEqual(short.path.map(part => `${part.type} ${part.gridX}`), ['battery 0', 'switch 1', 'ground 2']);
+    assert.deepEqual(simulator.validateCircuit(), [short.message]);
+    assert.equal(reported[reported.length - 1], 1);
+
+    // Opening it again clears the fault
+    switchPart.setClosed(false);
+    simulator.runTicks(2);
+    assert.deepEqual(simulator.getShortCircuits(), []);
+    assert.equal(reported[reported.length - 1], 0);
+});
+
+test('batteries at different voltages joined + to + are a short', () => {
+    const simulator = createSimulator(8, 4);
+    simulator.addComponentAt('battery', 0, 0);
+    simulator.addComponentAt('wire', 1, 0);
+    const other = simulator.addComponentAt('battery', 2, 0);
+    simulator.rotateComponent(other, 180);
+    other.voltage = 9;
+    simulator.runTicks(2);
+
+    const shorts = simulator.getShortCircuits();
+    assert.equal(shorts.length, 1);
+    assert.equal(shorts[0].kind, 'parallel');
+    assert.match(shorts[0].message, /5 V \/ 9 V/);
+});
+
+test('a load between the terminals is not a short', () => {
+    const simulator = createSimulator(8, 4);
+    simulator.addComponentAt('battery', 0, 0);
+    simulator.addComponentAt('led', 1, 0);
+    simulator.rotateComponent(simulator.addComponentAt('ground', 2, 0), 270);
+    simulator.runTicks(2);
+
+    assert.deepEqual(simulator.getShortCircuits(), []);
+    assert.deepEqual(simulator.validateCircuit(), []);
+});
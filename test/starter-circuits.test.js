@@ -0,0 +1,91 @@
+// Regression tests for the starter circuits, run headlessly (npm test). Each
+// circuit is built, driven through its inputs and run for a few ticks, and
+// its LEDs are checked; a saved copy of it has to behave the same.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator } = require('../js/headless.js');
+const { ledAt, setSwitch, reload } = require('./helpers.js');
+
+const SETTLE_TICKS = 10; // Enough for the largest starter circuit to settle
+
+// Check a circuit's LEDs for every combination of its switches, then again
+// after saving and reloading it
+function checkTruthTable(simulator, switches, leds, expected) {
+    [simulator, reload(simulator)].forEach(circuit => {
+        expected.forEach((outputs, row) => {
+            switches.forEach(([x, y], i) => setSwitch(circuit, x, y, (row >> i) & 1));
+            circuit.runTicks(SETTLE_TICKS);
+
+            const inputs = switches.map((cell, i) => (row >> i) & 1).join('');
+            const lit = leds.map(([x, y]) => Number(ledAt(circuit, x, y)));
+            assert.deepEqual(lit, outputs, `inputs ${inputs}`);
+        });
+    });
+}
+
+test('simple circuit lights its LED', () => {
+    const simulator = createSimulator();
+    simulator.createSimpleCircuit();
+    simulator.runTicks(3);
+    assert.equal(ledAt(simulator, 2, 0), true);
+});
+
+test('blinking LED toggles every second of virtual time', () => {
+    const simulator = createSimulator();
+    simulator.createBlinkingLED();
+
+    const trace = [];
+    for (let i = 0; i < 40; i++) {
+        simulator.step();
+        trace.push(ledAt(simulator, 2, 0) ? '1' : '0');
+    }
+    assert.equal(trace.join(''), '0000000001111111111000000000011111111110');
+});
+
+test('AND gate', () => {
+    const simulator = createSimulator();
+    simulator.createBasicANDGate();
+    checkTruthTable(simulator, [[1, 0], [1, 2]], [[4, 1]], [[0], [0], [0], [1]]);
+});
+
+test('XOR gate', () => {
+    const simulator = createSimulator();
+    simulator.createXORDemo();
+    checkTruthTable(simulator, [[1, 2], [1, 4]], [[4, 3]], [[0], [1], [1], [0]]);
+});
+
+test('full adder', () => {
+    const simulator = createSimulator();
+    simulator.createFullAdder();
+
+    // Inputs A, B, Cin; outputs Sum, Cout
+    checkTruthTable(simulator, [[1, 0], [4, 3], [12, 3]], [[15, 1], [19, 5]], [
+        [0, 0], [1, 0], [1, 0], [0, 1],
+        [1, 0], [0, 1], [0, 1], [1, 1]
+    ]);
+});
+
+test('SR flip-flop sets, holds and resets', () => {
+    const simulator = createSimulator();
+    simulator.createSRFlipFlop();
+
+    [simulator, reload(simulator)].forEach(circuit => {
+        const outputs = () => [ledAt(circuit, 9, 3), ledAt(circuit, 12, 3)];
+        const steps = [
+            // [S, R, expected Q, expected Q']
+            [0, 0, false, true],
+            [1, 0, true, false],
+            [0, 0, true, false],
+            [0, 1, false, true],
+            [0, 0, false, true]
+        ];
+
+        steps.forEach(([set, reset, q, qNot]) => {
+            setSwitch(circuit, 8, 4, set);
+            setSwitch(circuit, 4, 2, reset);
+            circuit.runTicks(SETTLE_TICKS);
+            assert.deepEqual(outputs(), [q, qNot], `S=${set} R=${reset}`);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+// Synthesis (user-017): Boolean expressions, or a truth table, built into a
+// circuit that computes them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionParser, CircuitSynthesizer, TruthTable } = require('../js/headless.js');
+
+function parse(text) {
+    const parser = new ExpressionParser(text);
+    const outputs = parser.parse();
+    assert.ok(outputs, parser.error);
+    return outputs;
+}
+
+// Check a synthesized circuit's truth table against the expressions it came from
+function checkCircuit(outputs) {
+    const table = TruthTable.generate(CircuitSynthesizer.synthesize(outputs));
+    const expressions = table.outputs.map(name => outputs.find(output => output.name === name).expression);
+    assert.equal(expressions.length, outputs.length);
+    table.rows.forEach(row => {
+        const values = Object.fromEntries(table.inputs.map((name, i) => [name, row.inputs[i]]));
+        const expected = expressions.map(expression => ExpressionParser.evaluate(expression, values));
+        assert.deepEqual(row.outputs, expected, `inputs ${row.inputs.join('')}`);
+    });
+    return table;
+}
+
+test('expressions are read with the usual precedence and notations', () => {
+    const [sum, carry] = parse("S = A ^ B; C = A B'");
+    assert.equal(ExpressionParser.format(sum.expression), 'A ^ B');
+    assert.equal(ExpressionParser.format(carry.expression), 'A & !B');
+
+    const [y] = parse('Y = A + B * !C');
+    assert.equal(ExpressionParser.format(y.expression), 'A | B & !C');
+    assert.deepEqual(ExpressionParser.variables(y.expression), ['A', 'B', 'C']);
+});
+
+test('an expression that cannot be read says why', () => {
+    const parser = new ExpressionParser('Y = (A & ');
+    assert.equal(parser.parse(), null);
+    assert.equal(parser.error, 'Expression ends too early');
+});
+
+test('a synthesized circuit computes its expressions', () => {
+    const table = checkCircuit(parse('Y = (A & B) | !C'));
+    assert.deepEqual(table.inputs, ['A', 'B', 'C']);
+
+    checkCircuit(parse('S = A ^ B ^ Cin; Cout = A & B | Cin & (A ^ B)'));
+    checkCircuit(parse('N = !(A & B); R = !(A | B)'));
+});
+
+test('a truth table becomes a circuit with the same table', () => {
+    const table = checkCircuit(parse('Y = A ^ B | !C & A'));
+    const rebuilt = TruthTable.generate(CircuitSynthesizer.synthesize(CircuitSynthesizer.fromTruthTable(table)));
+    assert.deepEqual(rebuilt.rows, table.rows);
+});
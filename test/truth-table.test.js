@@ -0,0 +1,58 @@
+// Truth tables (user-016): every input combination driven through a copy of
+// the circuit, all at once or a slice at a time
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator, TruthTable } = require('../js/headless.js');
+
+// The AND gate starter with its switches and LED labelled
+function buildAndGate() {
+    const simulator = createSimulator();
+    simulator.createBasicANDGate();
+    simulator.grid.getComponent(1, 0).label = 'A';
+    simulator.grid.getComponent(1, 2).label = 'B';
+    simulator.grid.getComponent(4, 1).label = 'Y';
+    return simulator;
+}
+
+test('a table has a row for every input combination', () => {
+    const simulator = buildAndGate();
+    const table = TruthTable.generate(simulator.exportCircuit());
+
+    assert.deepEqual(table.inputs, ['A', 'B']);
+    assert.deepEqual(table.outputs, ['Y']);
+    assert.deepEqual(table.rows.map(row => [...row.inputs, ...row.outputs]), [
+        [0, 0, 0], [0, 1, 0], [1, 0, 0], [1, 1, 1]
+    ]);
+    assert.equal(table.toCSV(), 'A,B,Y\n0,0,0\n0,1,0\n1,0,0\n1,1,1\n');
+
+    // The circuit being edited is left alone
+    assert.equal(simulator.grid.getComponent(1, 0).closed, false);
+});
+
+test('a table built in slices matches one built at once and reports progress', async () => {
+    const data = buildAndGate().exportCircuit();
+    const progress = [];
+    const table = await TruthTable.generateInSlices(data, {}, (done, total) => progress.push([done, total]));
+
+    assert.deepEqual(table, TruthTable.generate(data));
+    assert.ok(progress.length > 0);
+    assert.deepEqual(progress[progress.length - 1], [4, 4]);
+});
+
+test('a circuit with too many inputs has no table', async () => {
+    const simulator = createSimulator(4, 30);
+    for (let i = 0; i < 13; i++) {
+        simulator.addComponentAt('switch', 0, i * 2);
+    }
+    simulator.addComponentAt('led', 2, 0);
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal(TruthTable.generate(simulator.exportCircuit()), null);
+        assert.equal(await TruthTable.generateInSlices(simulator.exportCircuit()), null);
+    } finally {
+        console.warn = warn;
+    }
+});
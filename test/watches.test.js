@@ -0,0 +1,70 @@
+// Watches and breakpoints (user-021): expressions over labelled parts,
+// evaluated every tick, that can pause the simulation
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulator } = require('../js/headless.js');
+
+// The blinking LED starter with its switch labelled S and its LED L. The
+// switch closes, and the LED lights, on tick 10, and both go off on tick 20.
+function buildCircuit() {
+    const simulator = createSimulator();
+    simulator.createBlinkingLED();
+    simulator.grid.getComponent(1, 0).label = 'S';
+    simulator.grid.getComponent(2, 0).label = 'L';
+    return simulator;
+}
+
+test('a watch shows its value on every tick', () => {
+    const simulator = buildCircuit();
+    const watch = simulator.watches.add('L');
+    const either = simulator.watches.add('S | !L');
+
+    const values = [];
+    for (let i = 0; i < 25; i++) {
+        simulator.step();
+        values.push(`${watch.value}${either.value}`);
+    }
+    assert.equal(values.slice(8, 11).join(' '), '01 11 11');
+    assert.equal(values.slice(18, 21).join(' '), '11 01 01');
+    assert.equal(simulator.paused, false);
+});
+
+test('a breakpoint pauses when its watch turns on', () => {
+    const simulator = buildCircuit();
+    simulator.watches.add('L', 'true');
+    const hits = [];
+    simulator.onBreakpoint = found => hits.push({ tick: simulator.clock.tick, found });
+
+    simulator.runTicks(30);
+    assert.equal(hits.length, 2);
+    assert.equal(hits[0].tick, 10);
+    const [hit] = hits[0].found;
+    assert.deepEqual([hit.from, hit.to], ['0', '1']);
+    assert.deepEqual(hit.components, [simulator.grid.getComponent(2, 0)]);
+    assert.equal(hits[1].tick, 30);
+
+    // Stepping directly carries on past it, the latest tick's hits kept
+    assert.equal(simulator.paused, true);
+    assert.equal(simulator.clock.tick, 30);
+    assert.equal(simulator.breakpointHits.length, 1);
+    simulator.step();
+    assert.deepEqual(simulator.breakpointHits, []);
+});
+
+test('a change breakpoint fires both ways', () => {
+    const simulator = buildCircuit();
+    simulator.watches.add('S', 'change');
+    const ticks = [];
+    simulator.onBreakpoint = () => ticks.push(simulator.clock.tick);
+
+    simulator.runTicks(25);
+    assert.deepEqual(ticks, [10, 20]);
+});
+
+test('a watch that cannot be read says why', () => {
+    const simulator = buildCircuit();
+    assert.equal(simulator.watches.add('L &'), null);
+    assert.equal(simulator.watches.error, 'Expression ends too early');
+    assert.equal(simulator.watches.watches.length, 0);
+});
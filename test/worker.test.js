@@ -0,0 +1,112 @@
+// Simulation worker (user-022): a circuit run through the worker goes
+// through the same ticks as one run on the main thread
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createSimulator } = require('../js/headless.js');
+const { SimulationWorkerClient } = require('../js/worker-client.js');
+const { ledAt } = require('./helpers.js');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// simulation-worker.js in a context of its own, standing in for a Web
+// Worker. Messages each way wait in a queue until deliver() is called; the
+// worker's timer loop is left out, so ticks only run when asked for.
+function createWorker() {
+    const toWorker = [];
+    const toPage = [];
+    const context = vm.createContext({
+        console,
+        setTimeout: () => {},
+        postMessage: message => toPage.push(structuredClone(message)),
+        importScripts: (...files) => files.forEach(file => {
+            vm.runInContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), context, { filename: file });
+        })
+    });
+    vm.runInContext(fs.readFileSync(path.join(JS_DIR, 'simulation-worker.js'), 'utf8'), context);
+
+    const worker = {
+        onmessage: null,
+        onerror: null,
+        postMessage: message => toWorker.push(structuredClone(message)),
+        terminate: () => {},
+        // Hand over every message waiting, either way, until none are left
+        deliver() {
+            while (toWorker.length > 0 || toPage.length > 0) {
+                while (toWorker.length > 0) context.onmessage({ data: toWorker.shift() });
+                while (toPage.length > 0) worker.onmessage({ data: toPage.shift() });
+            }
+        }
+    };
+    return worker;
+}
+
+// The blinking LED starter, paused and run through the worker
+function runInWorker(ticks) {
+    const simulator = createSimulator();
+    simulator.createBlinkingLED();
+    simulator.paused = true;
+
+    const worker = createWorker();
+    new SimulationWorkerClient(worker).attach(simulator);
+    worker.deliver();
+
+    const trace = [];
+    for (let i = 0; i < ticks; i++) {
+        simulator.step();
+        worker.deliver();
+        trace.push(ledAt(simulator, 2, 0) ? '1' : '0');
+    }
+    return { simulator, worker, trace: trace.join('') };
+}
+
+function runOnMainThread(ticks) {
+    const simulator = createSimulator();
+    simulator.createBlinkingLED();
+    const trace = [];
+    for (let i = 0; i < ticks; i++) {
+        simulator.step();
+        trace.push(ledAt(simulator, 2, 0) ? '1' : '0');
+    }
+    return trace.join('');
+}
+
+test('scheduled tasks change the circuit on the same tick as on the main thread', () => {
+    const { simulator, trace } = runInWorker(40);
+    assert.equal(trace, runOnMainThread(40));
+    assert.equal(simulator.clock.tick, 40);
+});
+
+test('steps asked for before the page has run its tasks wait for them', () => {
+    const simulator = createSimulator();
+    simulator.createBlinkingLED();
+    simulator.paused = true;
+    const worker = createWorker();
+    new SimulationWorkerClient(worker).attach(simulator);
+
+    // All the steps go out before any tick comes back
+    for (let i = 0; i < 40; i++) simulator.step();
+    worker.deliver();
+    assert.equal(simulator.clock.tick, 40);
+
+    // The LED ends up where the main thread has it after 40 ticks
+    assert.equal(ledAt(simulator, 2, 0), runOnMainThread(40).endsWith('1'));
+});
+
+test('after a rewind the worker runs on as it did the first time', () => {
+    const { simulator, worker, trace } = runInWorker(40);
+    simulator.rewindTo(15);
+    worker.deliver();
+    assert.equal(simulator.clock.tick, 15);
+
+    const again = [];
+    for (let tick = 16; tick <= 40; tick++) {
+        simulator.step();
+        worker.deliver();
+        again.push(ledAt(simulator, 2, 0) ? '1' : '0');
+    }
+    assert.equal(again.join(''), trace.slice(15));
+});